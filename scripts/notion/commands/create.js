@@ -1,5 +1,11 @@
 const { Client } = require('@notionhq/client');
-const { coerceValueForPropertyType, parseBodyInput, markdownToParagraphBlocks } = require('../utils');
+const {
+  coerceValueForPropertyType,
+  parseBodyInput,
+  markdownToBlocks,
+  splitInitialChildren,
+  appendBlocksInChunks,
+} = require('../utils');
 
 /**
  * Create a new Notion page in a database
@@ -40,15 +46,19 @@ async function createPage({ client, databaseId, properties, body }) {
   }
 
   // Convert body to Notion blocks
-  const children = markdownToParagraphBlocks(body || '');
+  const children = markdownToBlocks(body || '');
 
-  // Create the page
+  // Create the page with the first request's worth of the body, so a rejected body
+  // leaves no empty page behind, then append whatever did not fit
+  const { initial, remaining } = splitInitialChildren(children);
   const page = await client.pages.create({
     parent: { database_id: databaseId },
     properties: coercedProperties,
-    children,
+    children: initial,
   });
 
+  await appendBlocksInChunks(client, page.id, remaining);
+
   return page;
 }
 
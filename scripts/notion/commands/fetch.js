@@ -2,9 +2,27 @@ const { Client } = require('@notionhq/client');
 const fs = require('fs');
 const os = require('os');
 const path = require('path');
-const { parseFilter, loadEnv, normalizeNotionId } = require('../utils');
+const {
+  parseFilter,
+  loadEnv,
+  normalizeNotionId,
+  parseWikilinkTarget,
+  CALLOUT_ADMONITIONS,
+  DIVIDER_RE,
+  ESCAPABLE_RE,
+} = require('../utils');
 const { listDatabases } = require('./list-db');
 
+const DEFAULT_MAX_DEPTH = 5;
+
+// Blocks whose children are separate pages or databases rather than page content
+const SKIP_CHILDREN_TYPES = new Set(['child_page', 'child_database']);
+
+// Layout blocks whose children render in sequence rather than indented
+const CONTAINER_TYPES = new Set(['column_list', 'column', 'synced_block']);
+
+const INLINE_DATABASE_LIMIT = 100;
+
 function getCacheFilePath(env) {
   const homeDir = os.homedir();
   return path.join(homeDir, `.notion-cache.${env}.json`);
@@ -134,6 +152,217 @@ function plainTextFromRichText(richText) {
   return richText.map((item) => item.plain_text || '').join('');
 }
 
+// A later `](url)` that parseInlineMarkdown turns into a link
+const LINK_TARGET_RE = /\]\(\s*(?:https?:|mailto:)/i;
+// Markers that start a heading, quote, list item, code fence or equation at the beginning of a line
+const LINE_MARKER_RE = /^([ \t]*)(?:(#{1,6}|[-*+])(?=\s|$)|(>|```|\$\$)|(\d{1,9})([.)])(?=\s|$))/;
+
+/**
+ * Escape the inline characters parseInlineMarkdown would read as formatting.
+ * Wikilinks, images, relative links and `_` inside words are left as typed.
+ * @param {string} text - Plain text of a rich_text run
+ * @returns {string}
+ */
+function escapeInlineText(text) {
+  let out = '';
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+    const rest = text.slice(i);
+
+    // Push turns wikilinks into mentions or keeps them as text, so they stay as typed
+    const wikilink = rest.match(/^\[\[([\s\S]*?)\]\]/);
+    if (wikilink && parseWikilinkTarget(wikilink[1])) {
+      out += wikilink[0];
+      i += wikilink[0].length;
+      continue;
+    }
+
+    if (char === '\\') {
+      out += i + 1 < text.length && ESCAPABLE_RE.test(text[i + 1]) ? '\\\\' : '\\';
+      i += 1;
+      continue;
+    }
+
+    if (char === '`' || char === '$' || char === '*' || char === '_' || char === '~') {
+      const run = rest.match(/^(.)\1*/)[0];
+      const prev = text[i - 1];
+      const next = text[i + run.length];
+      let special = false;
+      if (char === '`') {
+        special = text.indexOf(run, i + run.length) !== -1;
+      } else if (char === '$') {
+        special = Boolean(next) && !/\s/.test(next) && text.indexOf('$', i + run.length) !== -1;
+      } else {
+        const canOpen = run.length > 2 || (Boolean(next) && !/\s/.test(next));
+        special = canOpen && (char !== '~' || run.length >= 2) && (char !== '_' || !prev || !/[a-z0-9]/i.test(prev));
+      }
+      out += special ? run.replace(/./g, '\\$&') : run;
+      i += run.length;
+      continue;
+    }
+
+    if (char === '[' && text[i - 1] !== '!' && LINK_TARGET_RE.test(rest)) {
+      out += '\\[';
+    } else if (char === '|') {
+      out += '\\|';
+    } else {
+      out += char;
+    }
+    i += 1;
+  }
+  return out;
+}
+
+/**
+ * Escape text so markdownToBlocks reads it back as the same literal text
+ * @param {string} text - Plain text of a rich_text run
+ * @param {boolean} atLineStart - The text starts a line, so block markers need escaping
+ * @returns {string}
+ */
+function escapeMarkdownText(text, atLineStart = false) {
+  return escapeInlineText(text)
+    .split('\n')
+    .map((line, index) => {
+      if (index === 0 && !atLineStart) return line;
+      if (DIVIDER_RE.test(line.trim())) return line.replace(/^([ \t]*)/, '$1\\');
+      return line.replace(LINE_MARKER_RE, (match, indent, marker, quote, digits, delimiter) =>
+        digits ? `${indent}${digits}\\${delimiter}` : `${indent}\\${marker || quote}`
+      );
+    })
+    .join('\n');
+}
+
+/**
+ * Wrap text in a markdown marker, keeping surrounding whitespace outside the marker
+ */
+function wrapMarker(text, marker, closing = marker) {
+  const match = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  if (!match[2]) return text;
+  return `${match[1]}${marker}${match[2]}${closing}${match[3]}`;
+}
+
+function notionPageUrl(id) {
+  return `https://www.notion.so/${String(id).replace(/-/g, '')}`;
+}
+
+/**
+ * Describe a mention rich_text item: what it points at and how to reach it
+ * @param {Object} item - Notion rich_text item of type mention
+ * @returns {Object} Mention metadata ({ type, text, ...target fields })
+ */
+function describeMention(item) {
+  const mention = item.mention || {};
+  const text = item.plain_text || '';
+
+  switch (mention.type) {
+    case 'page':
+    case 'database': {
+      const id = mention[mention.type]?.id || null;
+      return { type: mention.type, text, id, url: item.href || (id ? notionPageUrl(id) : null) };
+    }
+    case 'user': {
+      const user = mention.user || {};
+      return { type: 'user', text, id: user.id || null, name: user.name || text.replace(/^@/, '') || null };
+    }
+    case 'date':
+      return {
+        type: 'date',
+        text,
+        start: mention.date?.start || null,
+        end: mention.date?.end || null,
+        time_zone: mention.date?.time_zone || null,
+      };
+    case 'link_preview':
+      return { type: 'link_preview', text, url: mention.link_preview?.url || item.href || null };
+    default:
+      return { type: mention.type || 'unknown', text, url: item.href || null };
+  }
+}
+
+/**
+ * Render a mention as markdown text plus an optional link target.
+ * Pages and databases link to their URL, users render as `@Name` and
+ * dates as ISO dates (`start/end` for ranges).
+ */
+function mentionToMarkdown(item) {
+  const info = describeMention(item);
+  switch (info.type) {
+    case 'page':
+    case 'database':
+      return { text: info.text || 'Untitled', url: info.url };
+    case 'user':
+      return { text: info.name ? `@${info.name}` : info.text, url: null };
+    case 'date':
+      if (!info.start) return { text: info.text, url: null };
+      return { text: info.end ? `${info.start}/${info.end}` : info.start, url: null };
+    case 'link_preview':
+      return { text: info.text || info.url || '', url: info.url };
+    default:
+      return { text: info.text, url: info.url };
+  }
+}
+
+function richTextItemToMarkdown(item, options = {}) {
+  if (item.type === 'equation') {
+    const expression = item.equation?.expression ?? item.plain_text ?? '';
+    return expression ? `$${expression}$` : '';
+  }
+
+  let text;
+  let url;
+  if (item.type === 'mention') {
+    const wikilink =
+      item.mention?.type === 'page' && options.pageMentionToWikilink
+        ? options.pageMentionToWikilink(item.mention.page?.id)
+        : null;
+    if (wikilink) return `[[${wikilink}]]`;
+    ({ text, url } = mentionToMarkdown(item));
+  } else {
+    text = item.plain_text ?? item.text?.content ?? '';
+    url = item.href || item.text?.link?.url;
+  }
+  if (!text) return '';
+
+  const annotations = item.annotations || {};
+  if (annotations.code && item.type !== 'mention') {
+    const fence = text.includes('`') ? '``' : '`';
+    const padded = text.startsWith('`') || text.endsWith('`') ? ` ${text} ` : text;
+    text = `${fence}${padded}${fence}`;
+  } else {
+    text = escapeMarkdownText(text, options.atLineStart);
+  }
+  if (annotations.strikethrough) text = wrapMarker(text, '~~');
+  if (annotations.italic) text = wrapMarker(text, '*');
+  if (annotations.bold) text = wrapMarker(text, '**');
+
+  if (url) {
+    text = wrapMarker(text, '[', `](${url})`);
+  }
+  return text;
+}
+
+/**
+ * Render Notion rich_text as inline markdown, keeping bold, italic,
+ * strikethrough, inline code, links, mentions and inline equations
+ * @param {Array} richText - Notion rich_text array
+ * @param {Object} options - Rendering options
+ * @param {Function} options.pageMentionToWikilink - Returns a note fname for a
+ *   mentioned page ID, rendering the mention as `[[fname]]` instead of a link
+ * @returns {string} Markdown text
+ */
+function richTextToMarkdown(richText, options = {}) {
+  if (!Array.isArray(richText)) {
+    return '';
+  }
+  let markdown = '';
+  for (const item of richText) {
+    const atLineStart = markdown === '' || markdown.endsWith('\n');
+    markdown += richTextItemToMarkdown(item, { ...options, atLineStart });
+  }
+  return markdown;
+}
+
 function formatUser(user) {
   if (!user) return null;
   return {
@@ -312,40 +541,198 @@ async function fetchBlockChildren({ client, blockId }) {
   return blocks;
 }
 
-function blockToMarkdown(block) {
+function isInaccessibleError(err) {
+  return Boolean(err) && (err.code === 'object_not_found' || err.code === 'restricted_resource');
+}
+
+function pageTitle(page) {
+  const titleProperty = Object.values(page.properties || {}).find((property) => property.type === 'title');
+  return titleProperty ? plainTextFromRichText(titleProperty.title) : '';
+}
+
+/**
+ * Query a child database's pages for inline rendering
+ * @returns {Promise<Array<{title: string, url: string}>|null>} Rows, or null if the database is not shared
+ */
+async function fetchInlineDatabaseRows({ client, databaseId }) {
+  try {
+    const pages = await fetchPages({ client, databaseId, limit: INLINE_DATABASE_LIMIT });
+    return pages.map((page) => ({ title: pageTitle(page), url: page.url || notionPageUrl(page.id) }));
+  } catch (err) {
+    if (isInaccessibleError(err)) return null;
+    throw err;
+  }
+}
+
+/**
+ * Fetch a block's children recursively, attaching nested blocks as `children`.
+ * Duplicate synced blocks are resolved to the children of their original block.
+ * @param {Object} params
+ * @param {Client} params.client - Notion API client
+ * @param {string} params.blockId - Page or block ID
+ * @param {number} params.maxDepth - Deepest nesting level to fetch (1 = top-level blocks only)
+ * @param {number} params.depth - Nesting level of the blocks being fetched
+ * @param {boolean} params.inlineDatabases - Query child databases and attach their rows as `databaseRows`
+ * @returns {Promise<Array>} Block objects with nested `children`
+ */
+async function fetchBlockTree({
+  client,
+  blockId,
+  maxDepth = DEFAULT_MAX_DEPTH,
+  depth = 1,
+  inlineDatabases = false,
+}) {
+  const blocks = await fetchBlockChildren({ client, blockId });
+
+  for (const block of blocks) {
+    if (block.type === 'child_database' && inlineDatabases) {
+      block.databaseRows = await fetchInlineDatabaseRows({ client, databaseId: block.id });
+      continue;
+    }
+
+    const syncedFrom = block.type === 'synced_block' ? block.synced_block?.synced_from : null;
+    if (!syncedFrom && (!block.has_children || SKIP_CHILDREN_TYPES.has(block.type))) {
+      continue;
+    }
+    // Table rows are part of the table itself, so they are fetched regardless of depth
+    if (depth >= maxDepth && block.type !== 'table') {
+      continue;
+    }
+
+    const childrenId = syncedFrom ? syncedFrom.block_id : block.id;
+    try {
+      block.children = await fetchBlockTree({
+        client,
+        blockId: childrenId,
+        maxDepth,
+        depth: depth + 1,
+        inlineDatabases,
+      });
+    } catch (err) {
+      if (!syncedFrom || !isInaccessibleError(err)) throw err;
+      block.unavailable = true;
+    }
+  }
+
+  return blocks;
+}
+
+function prefixQuoteLines(text) {
+  return text
+    .split('\n')
+    .map((line) => (line ? `> ${line}` : '>'))
+    .join('\n');
+}
+
+/**
+ * Render a callout as a GitHub admonition when its icon and color match one,
+ * as an emoji-prefixed quote when it has an emoji icon, and as a plain quote otherwise
+ * @param {Object} value - Callout block payload
+ * @param {string} text - Callout text as markdown
+ * @returns {string} Markdown
+ */
+function calloutToMarkdown(value, text) {
+  const emoji = value.icon && value.icon.type === 'emoji' ? value.icon.emoji : null;
+  if (!emoji) {
+    return text ? prefixQuoteLines(text) : '>';
+  }
+
+  const admonition = Object.entries(CALLOUT_ADMONITIONS).find(
+    ([, style]) => style.emoji === emoji && style.color === value.color
+  );
+  if (admonition) {
+    return prefixQuoteLines(text ? `[!${admonition[0]}]\n${text}` : `[!${admonition[0]}]`);
+  }
+
+  return prefixQuoteLines(text ? `${emoji} ${text}` : emoji);
+}
+
+function fileUrl(value) {
+  if (!value) return null;
+  return value.type === 'external' ? value.external?.url || null : value.file?.url || null;
+}
+
+/**
+ * Render a child database as a link, followed by its rows when they were queried inline
+ */
+function childDatabaseToMarkdown(block) {
+  const title = block.child_database.title || 'Untitled database';
+  const link = block.id ? `[${title}](${notionPageUrl(block.id)})` : title;
+  if (!block.databaseRows) {
+    return link;
+  }
+
+  const rows = block.databaseRows.map((row) => `- [${row.title || 'Untitled'}](${row.url})`);
+  return [link, ...rows].join('\n');
+}
+
+function tableCellToMarkdown(cell, options) {
+  // richTextToMarkdown already escapes `|`
+  return richTextToMarkdown(cell, options).replace(/\r?\n/g, '<br>');
+}
+
+/**
+ * Render a table block and its table_row children as a GFM pipe table
+ * @param {Object} block - Notion table block with `children` attached
+ * @param {Object} options - Rich text rendering options
+ * @returns {string} Markdown table
+ */
+function tableToMarkdown(block, options = {}) {
+  const rows = (block.children || []).filter((child) => child.type === 'table_row');
+  if (!rows.length) return '';
+
+  const width = block.table.table_width || Math.max(...rows.map((row) => row.table_row.cells.length));
+  const formatRow = (row) => {
+    const cells = Array.from({ length: width }, (_, index) => tableCellToMarkdown(row.table_row.cells[index], options));
+    return `| ${cells.join(' | ')} |`;
+  };
+
+  const lines = rows.map(formatRow);
+  if (block.table.has_column_header) {
+    lines.splice(1, 0, `| ${Array.from({ length: width }, () => '---').join(' | ')} |`);
+  }
+  return lines.join('\n');
+}
+
+function blockToMarkdown(block, options = {}) {
   if (!block || !block.type) return '';
   const type = block.type;
   const value = block[type];
   if (!value) return '';
 
-  const text = plainTextFromRichText(value.rich_text);
+  const text = richTextToMarkdown(value.rich_text, options);
+  // Soft line breaks in headings, list items and toggles are indented so they
+  // read back as part of the block instead of a new paragraph
+  const continued = text.replace(/\n/g, `\n${childIndent(block)}`);
 
   switch (type) {
     case 'paragraph':
       return text;
     case 'heading_1':
-      return text ? `# ${text}` : '#';
+      return text ? `# ${continued}` : '#';
     case 'heading_2':
-      return text ? `## ${text}` : '##';
+      return text ? `## ${continued}` : '##';
     case 'heading_3':
-      return text ? `### ${text}` : '###';
+      return text ? `### ${continued}` : '###';
     case 'bulleted_list_item':
-      return text ? `- ${text}` : '-';
+      return text ? `- ${continued}` : '-';
     case 'numbered_list_item':
-      return text ? `1. ${text}` : '1.';
+      return text ? `1. ${continued}` : '1.';
     case 'to_do':
-      return `- [${value.checked ? 'x' : ' '}] ${text}`.trimEnd();
+      return `- [${value.checked ? 'x' : ' '}] ${continued}`.trimEnd();
     case 'quote':
-      return text ? `> ${text}` : '>';
+      return text ? prefixQuoteLines(text) : '>';
     case 'callout':
-      return text ? `> ${text}` : '>';
+      return calloutToMarkdown(value, text);
     case 'code': {
       const language = value.language || '';
-      const codeText = text || '';
+      const codeText = plainTextFromRichText(value.rich_text);
       return [`\`\`\`${language}`, codeText, '```'].join('\n').trim();
     }
     case 'divider':
       return '---';
+    case 'equation':
+      return value.expression ? ['$$', value.expression, '$$'].join('\n') : '';
     case 'image': {
       const url =
         value.type === 'external'
@@ -365,39 +752,177 @@ function blockToMarkdown(block) {
       const url = value.type === 'external' ? value.external?.url : value.file?.url;
       return url ? `[video] ${url}` : '[video]';
     }
+    case 'pdf': {
+      const url = fileUrl(value);
+      return url ? `[pdf] ${url}` : '[pdf]';
+    }
+    case 'audio': {
+      const url = fileUrl(value);
+      return url ? `[audio] ${url}` : '[audio]';
+    }
+    case 'embed': {
+      if (!value.url) return '[embed]';
+      const caption = plainTextFromRichText(value.caption);
+      return `[${caption || value.url}](${value.url})`;
+    }
+    case 'link_preview':
+      return value.url ? `[${value.url}](${value.url})` : '[link preview]';
+    case 'table_of_contents':
+      return '[table of contents]';
+    case 'breadcrumb':
+      return '[breadcrumb]';
+    case 'column_list':
+    case 'column':
+      return '';
+    case 'synced_block':
+      return block.unavailable ? '[synced block unavailable]' : '';
     case 'child_page':
       return value.title || '';
+    case 'child_database':
+      return childDatabaseToMarkdown(block);
     case 'toggle':
-      return text;
+      return text ? `▸ ${continued}` : '▸';
+    case 'table':
+      return tableToMarkdown(block, options);
     default:
       return text;
   }
 }
 
-function blocksToBody(blocks) {
-  const lines = [];
+/**
+ * Indentation applied to a block's nested children so they read as part of it
+ */
+function childIndent(block) {
+  if (CONTAINER_TYPES.has(block.type)) return '';
+  return block.type === 'numbered_list_item' ? '   ' : '  ';
+}
+
+function indentLines(text, prefix) {
+  return text
+    .split('\n')
+    .map((line) => (line ? `${prefix}${line}` : line))
+    .join('\n');
+}
+
+const LIST_TYPES = new Set(['bulleted_list_item', 'numbered_list_item', 'to_do']);
+
+/**
+ * Render a block tree as markdown
+ * @param {Array} blocks - Block tree from fetchBlockTree
+ * @param {Object} options - Rendering options
+ * @param {boolean} options.blankLines - Separate blocks with a blank line (except
+ *   consecutive list items) so the output parses back into the same blocks
+ * @param {Function} options.pageMentionToWikilink - See richTextToMarkdown
+ * @returns {string} Markdown body
+ */
+function blocksToBody(blocks, options = {}) {
+  let output = '';
+  let previous = null;
   for (const block of blocks || []) {
-    const line = blockToMarkdown(block);
-    if (line === null || line === undefined) continue;
-    if (line === '') continue;
-    lines.push(line);
+    const parts = [];
+    const line = blockToMarkdown(block, options);
+    if (line !== null && line !== undefined && line !== '') {
+      parts.push(line);
+    }
+
+    let childSeparator = '\n';
+    if (block.type !== 'table' && Array.isArray(block.children) && block.children.length) {
+      const nested = blocksToBody(block.children, options);
+      if (nested) {
+        parts.push(indentLines(nested, childIndent(block)));
+        // Nested lists attach to the line above; other nested blocks need a blank line
+        // or they read as a continuation of the parent's text
+        const firstChild = block.children.find((child) => blockToMarkdown(child, options));
+        if (options.blankLines && !(firstChild && LIST_TYPES.has(firstChild.type))) {
+          childSeparator = '\n\n';
+        }
+      }
+    }
+    if (!parts.length) continue;
+
+    if (output) {
+      const sameList = previous && LIST_TYPES.has(previous.type) && previous.type === block.type;
+      output += options.blankLines && !sameList ? '\n\n' : '\n';
+    }
+    output += parts.join(childSeparator);
+    previous = block;
   }
-  return lines.join('\n').trim();
+  return output.trim();
 }
 
-async function buildPageResult({ client, page, titlePropName }) {
+function richTextArraysOf(block) {
+  const value = block && block[block.type];
+  if (!value) return [];
+  const arrays = [value.rich_text, value.caption];
+  if (block.type === 'table_row') {
+    arrays.push(...(value.cells || []));
+  }
+  return arrays.filter(Array.isArray);
+}
+
+/**
+ * Collect structured metadata for every mention in a page's properties and blocks
+ * @param {Object} properties - Raw Notion page properties
+ * @param {Array} blocks - Block tree from fetchBlockTree
+ * @returns {Array<Object>} Unique mention descriptions (see describeMention)
+ */
+function collectMentions(properties, blocks) {
+  const mentions = [];
+  const seen = new Set();
+
+  const visit = (richText) => {
+    for (const item of richText) {
+      if (item.type !== 'mention') continue;
+      const info = describeMention(item);
+      const key = JSON.stringify(info);
+      if (!seen.has(key)) {
+        seen.add(key);
+        mentions.push(info);
+      }
+    }
+  };
+
+  for (const property of Object.values(properties || {})) {
+    if (property && (property.type === 'title' || property.type === 'rich_text')) {
+      visit(property[property.type] || []);
+    }
+  }
+
+  const walk = (list) => {
+    for (const block of list || []) {
+      richTextArraysOf(block).forEach(visit);
+      walk(block.children);
+    }
+  };
+  walk(blocks);
+
+  return mentions;
+}
+
+async function buildPageResult({
+  client,
+  page,
+  titlePropName,
+  maxDepth,
+  inlineDatabases,
+  includeMentions,
+}) {
   const titleProperty = page.properties ? page.properties[titlePropName] : null;
   const title = titleProperty ? plainTextFromRichText(titleProperty.title) : 'Untitled';
   const properties = simplifyProperties(page.properties || {}, titlePropName);
-  const blocks = await fetchBlockChildren({ client, blockId: page.id });
+  const blocks = await fetchBlockTree({ client, blockId: page.id, maxDepth, inlineDatabases });
   const body = blocksToBody(blocks);
 
-  return {
+  const result = {
     id: page.id,
     title,
     properties,
     body,
   };
+  if (includeMentions) {
+    result.mentions = collectMentions(page.properties, blocks);
+  }
+  return result;
 }
 
 function formatMarkdownOutput(pageResults) {
@@ -443,6 +968,21 @@ module.exports = {
         type: 'number',
         describe: 'Maximum number of pages to return (default: all)',
       })
+      .option('max-depth', {
+        type: 'number',
+        describe: 'Maximum block nesting depth to fetch (1 = top-level blocks only)',
+        default: DEFAULT_MAX_DEPTH,
+      })
+      .option('inline-databases', {
+        type: 'boolean',
+        describe: `Query child databases and list their pages (up to ${INLINE_DATABASE_LIMIT}) under the database link`,
+        default: false,
+      })
+      .option('include-mentions', {
+        type: 'boolean',
+        describe: 'Add a structured "mentions" array (pages, databases, users, dates, links) to JSON output',
+        default: false,
+      })
       .option('env', {
         type: 'string',
         describe: 'Environment (determines cache file)',
@@ -456,11 +996,16 @@ module.exports = {
         if (argv.databaseId && argv.databaseName) {
           throw new Error('Provide only one of --database-id or --database-name.');
         }
+        if (!Number.isInteger(argv.maxDepth) || argv.maxDepth < 1) {
+          throw new Error('--max-depth must be a positive integer.');
+        }
         return true;
       })
       .example('$0 fetch --database-id abc123')
       .example('$0 fetch --database-name "Tasks" --query "urgent"')
-      .example('$0 fetch --database-id abc123 --filter "Status:equals:Done" --output md');
+      .example('$0 fetch --database-id abc123 --filter "Status:equals:Done" --output md')
+      .example('$0 fetch --database-id abc123 --max-depth 2')
+      .example('$0 fetch --database-id abc123 --include-mentions');
   },
 
   handler: async (argv) => {
@@ -472,6 +1017,9 @@ module.exports = {
         filter: filterString,
         output,
         limit,
+        maxDepth,
+        inlineDatabases,
+        includeMentions,
         env,
       } = argv;
 
@@ -517,7 +1065,14 @@ module.exports = {
 
       const results = [];
       for (const page of pages) {
-        const formatted = await buildPageResult({ client, page, titlePropName });
+        const formatted = await buildPageResult({
+          client,
+          page,
+          titlePropName,
+          maxDepth,
+          inlineDatabases,
+          includeMentions: includeMentions && output !== 'md',
+        });
         results.push(formatted);
       }
 
@@ -545,11 +1100,17 @@ module.exports = {
   resolveDatabaseId,
   getDatabaseSchema,
   plainTextFromRichText,
+  richTextToMarkdown,
+  describeMention,
+  collectMentions,
   simplifyPropertyValue,
   simplifyProperties,
   getFilterDepth,
   buildQueryFilter,
   combineFilters,
+  fetchBlockTree,
+  calloutToMarkdown,
+  tableToMarkdown,
   blockToMarkdown,
   blocksToBody,
   formatMarkdownOutput,
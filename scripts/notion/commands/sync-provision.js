@@ -0,0 +1,226 @@
+const { Client } = require('@notionhq/client');
+const {
+  resolveRulesDir,
+  resolveNoteRoots,
+  loadSyncRules,
+  selectRules,
+  resolveNoteRules,
+} = require('./sync');
+const { DENDRON_ID_TYPES, WRITABLE_PROPERTY_TYPES, indexNoteRoots, databaseTitle } = require('./sync-validate');
+const { normalizeNotionId, isEmptyValue } = require('../utils');
+
+// Properties sync writes on every page, with the type they are created as
+const REQUIRED_PROPERTIES = [
+  { name: 'dendron_id', type: 'rich_text', accepts: DENDRON_ID_TYPES },
+  { name: 'last_synced', type: 'date', accepts: new Set(['date']) },
+];
+const DATE_RE = /^\d{4}-\d{2}-\d{2}(?:[ T]\d{2}:\d{2})?/;
+const URL_RE = /^https?:\/\//;
+
+/**
+ * Pick a property type for an fmToSync target from the entry's transforms and the
+ * values local notes have for it
+ * @param {Object} option - fmToSync entry
+ * @param {Array} values - Frontmatter values of the notes the rule matches
+ * @returns {string} Notion property type
+ */
+function inferPropertyType(option, values) {
+  if (option.from === 'fnameDate' || option.dateFormat) return 'date';
+  if (option.from === 'fname') return 'rich_text';
+  if (option.map) return 'select';
+
+  const present = values.filter((value) => !isEmptyValue(value));
+  if (!present.length) return 'rich_text';
+  if (present.every(Array.isArray)) return 'multi_select';
+  if (present.every((value) => typeof value === 'boolean')) return 'checkbox';
+  if (present.every((value) => typeof value === 'number')) return 'number';
+  if (present.every((value) => value instanceof Date || DATE_RE.test(String(value)))) return 'date';
+  if (present.every((value) => URL_RE.test(String(value)))) return 'url';
+  return 'rich_text';
+}
+
+function propertySchema(type) {
+  return { [type]: type === 'number' ? { format: 'number' } : {} };
+}
+
+/**
+ * Work out which properties each rule's database is missing. Existing properties
+ * are never changed; ones with a type sync cannot use are reported instead.
+ * @param {Object} params
+ * @param {Client} params.client - Notion API client
+ * @param {Array} params.rules - Rules to provision
+ * @param {Array} params.allRules - Every loaded rule, to match notes the way sync does
+ * @param {Map} params.noteIndex - Index from buildNoteIndex, used to infer types
+ * @returns {Promise<Array<{databaseId: string, title: string, additions: Array, warnings: Array<string>}>>}
+ */
+async function planProvisioning({ client, rules, allRules, noteIndex }) {
+  const valuesByRule = new Map(rules.map((rule) => [rule, []]));
+  for (const [fname, note] of noteIndex) {
+    let noteRules;
+    try {
+      noteRules = resolveNoteRules(allRules, fname, note.frontmatter, rules);
+    } catch (err) {
+      continue;
+    }
+    for (const rule of noteRules) {
+      if (valuesByRule.has(rule)) {
+        valuesByRule.get(rule).push(note.frontmatter || {});
+      }
+    }
+  }
+
+  const plans = new Map();
+  for (const rule of rules) {
+    const databaseId = normalizeNotionId(rule.destination.databaseId);
+    if (!plans.has(databaseId)) {
+      const database = await client.databases.retrieve({ database_id: databaseId });
+      plans.set(databaseId, {
+        databaseId,
+        title: databaseTitle(database),
+        existing: database.properties || {},
+        additions: [],
+        warnings: [],
+      });
+    }
+    const plan = plans.get(databaseId);
+
+    const want = (name, type, source, accepts = new Set([type])) => {
+      const existing = plan.existing[name];
+      if (existing) {
+        if (!accepts.has(existing.type)) {
+          plan.warnings.push(`"${name}" is ${existing.type} but ${source} needs ${type}; change it in Notion.`);
+        }
+        return;
+      }
+      const planned = plan.additions.find((addition) => addition.name === name);
+      if (!planned) {
+        plan.additions.push({ name, type, sources: [source] });
+      } else if (planned.type !== type) {
+        plan.warnings.push(`"${name}" is added as ${planned.type} for ${planned.sources.join(', ')}; ${source} would use ${type}.`);
+      } else if (!planned.sources.includes(source)) {
+        planned.sources.push(source);
+      }
+    };
+
+    for (const required of REQUIRED_PROPERTIES) {
+      want(required.name, required.type, 'sync', required.accepts);
+    }
+    for (const option of rule.fmToSync) {
+      const values = option.name ? valuesByRule.get(rule).map((frontmatter) => frontmatter[option.name]) : [];
+      const type = inferPropertyType(option, values);
+      want(option.target || option.name, type, `rule ${rule.ruleName}`, WRITABLE_PROPERTY_TYPES);
+    }
+  }
+
+  return [...plans.values()].map(({ existing, ...plan }) => plan);
+}
+
+/**
+ * Add the planned properties with databases.update
+ * @param {Client} client - Notion API client
+ * @param {Array} plans - From planProvisioning
+ * @returns {Promise<number>} Number of properties added
+ */
+async function applyProvisioning(client, plans) {
+  let added = 0;
+  for (const plan of plans) {
+    if (!plan.additions.length) continue;
+    const properties = {};
+    for (const addition of plan.additions) {
+      properties[addition.name] = propertySchema(addition.type);
+    }
+    await client.databases.update({ database_id: plan.databaseId, properties });
+    added += plan.additions.length;
+  }
+  return added;
+}
+
+function printProvisioningPlan(plans) {
+  for (const plan of plans) {
+    console.log(`${plan.title} (${plan.databaseId})`);
+    if (!plan.additions.length) {
+      console.log('    nothing to add');
+    }
+    for (const addition of plan.additions) {
+      console.log(`    + ${addition.name} (${addition.type}) for ${addition.sources.join(', ')}`);
+    }
+    for (const warning of plan.warnings) {
+      console.log(`    warning: ${warning}`);
+    }
+  }
+}
+
+module.exports = {
+  command: 'provision',
+  describe: "Add missing required and fmToSync properties to each rule's database",
+
+  builder: (yargs) => {
+    return yargs
+      .option('apply', {
+        type: 'boolean',
+        describe: 'Add the properties; without it only the planned changes are shown',
+        default: false,
+      })
+      .option('rule', {
+        type: 'string',
+        describe: 'Only provision the database of a specific sync rule (matches rule filename or name)',
+      })
+      .option('rules-dir', {
+        type: 'string',
+        describe: 'Directory containing sync rule YAML files',
+      })
+      .option('path', {
+        type: 'array',
+        describe: 'Additional file or directory paths to scan for notes when inferring property types',
+        default: [],
+      })
+      .example('$0 sync provision')
+      .example('$0 sync provision --apply')
+      .example('$0 sync provision --rule task --apply');
+  },
+
+  handler: async (argv) => {
+    try {
+      const { apply, rule: ruleFilter, rulesDir: rulesDirInput, path: extraPaths } = argv;
+
+      const token = process.env.NOTION_TOKEN || process.env.NOTION_API_KEY;
+      if (!token) {
+        throw new Error('NOTION_TOKEN (or NOTION_API_KEY) is required. Set it in the environment or .env file.');
+      }
+
+      const allRules = loadSyncRules(resolveRulesDir(rulesDirInput));
+      const rules = selectRules(allRules, ruleFilter);
+      const client = new Client({ auth: token });
+      const noteIndex = indexNoteRoots(resolveNoteRoots(extraPaths));
+
+      const plans = await planProvisioning({ client, rules, allRules, noteIndex });
+      printProvisioningPlan(plans);
+
+      const pending = plans.reduce((total, plan) => total + plan.additions.length, 0);
+      if (!pending) {
+        console.log('\nAll properties exist.');
+        process.exit(0);
+      }
+
+      if (!apply) {
+        console.log(`\nDry run: ${pending} property(ies) would be added. Re-run with --apply to add them.`);
+        process.exit(0);
+      }
+
+      const added = await applyProvisioning(client, plans);
+      console.log(`\n✓ Added ${added} property(ies).`);
+      process.exit(0);
+    } catch (err) {
+      if (err && err.body) {
+        console.error('Notion API Error:', JSON.stringify(err.body, null, 2));
+      } else {
+        console.error('Error:', err.message || String(err));
+      }
+      process.exit(1);
+    }
+  },
+
+  inferPropertyType,
+  planProvisioning,
+  applyProvisioning,
+};
@@ -0,0 +1,335 @@
+const { Client } = require('@notionhq/client');
+const path = require('path');
+const {
+  DEFAULT_IGNORE_DIRS,
+  resolveRulesDir,
+  resolveNoteRoots,
+  listRuleFiles,
+  readRuleFile,
+  normalizeRule,
+  buildNoteIndex,
+  resolveNoteRules,
+} = require('./sync');
+const { normalizeNotionId, collectMarkdownFiles } = require('../utils');
+
+// Keys a rule may set; anything else is most likely a typo
+const RULE_KEYS = new Set([
+  'name',
+  'fnameTrigger',
+  'fnameToTrigger',
+  'where',
+  'priority',
+  'matchStrategy',
+  'title',
+  'fmToSync',
+  'destination',
+  'notionOnlyLabel',
+  'preserve',
+]);
+const FIELD_KEYS = new Set(['name', 'target', 'mode', 'from', 'extract', 'default', 'map', 'case', 'dateFormat']);
+const FIELD_MODES = ['append', 'replace'];
+// Property types sync can write
+const WRITABLE_PROPERTY_TYPES = new Set([
+  'title',
+  'rich_text',
+  'url',
+  'number',
+  'date',
+  'select',
+  'multi_select',
+  'status',
+  'checkbox',
+  'email',
+  'phone_number',
+  'relation',
+]);
+const DENDRON_ID_TYPES = new Set(['rich_text', 'title', 'url', 'email', 'phone_number', 'select']);
+// Property types a date-producing entry (fnameDate or dateFormat) can fill
+const DATE_VALUE_TYPES = new Set(['date', 'title', 'rich_text', 'select', 'multi_select', 'status']);
+const MAX_LISTED_NOTES = 10;
+
+/**
+ * Check a raw rule for keys and values the rule schema does not know about
+ * @param {Object} rawRule - Rule object from readRuleFile
+ * @returns {{errors: Array<string>, warnings: Array<string>}}
+ */
+function checkRuleKeys(rawRule) {
+  const errors = [];
+  const warnings = [];
+
+  for (const key of Object.keys(rawRule)) {
+    if (!RULE_KEYS.has(key)) {
+      warnings.push(`Unknown rule key "${key}".`);
+    }
+  }
+
+  for (const option of Array.isArray(rawRule.fmToSync) ? rawRule.fmToSync : []) {
+    if (!option || typeof option !== 'object') continue;
+    const label = option.name || option.target;
+    for (const key of Object.keys(option)) {
+      if (!FIELD_KEYS.has(key)) {
+        warnings.push(`Unknown key "${key}" in fmToSync entry "${label}".`);
+      }
+    }
+    if (option.mode !== undefined && !FIELD_MODES.includes(option.mode)) {
+      errors.push(`fmToSync entry "${label}" has invalid mode "${option.mode}"; expected ${FIELD_MODES.join(' or ')}.`);
+    }
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Check a rule against its destination database's properties
+ * @param {Object} rule - Sync rule from normalizeRule
+ * @param {Object} properties - Database properties from databases.retrieve
+ * @returns {{errors: Array<string>, warnings: Array<string>}}
+ */
+function checkRuleAgainstSchema(rule, properties) {
+  const errors = [];
+  const warnings = [];
+  const typeOf = (name) => (properties[name] ? properties[name].type : null);
+
+  if (!typeOf('dendron_id')) {
+    errors.push('Database is missing the required "dendron_id" property.');
+  } else if (!DENDRON_ID_TYPES.has(typeOf('dendron_id'))) {
+    errors.push(`"dendron_id" is ${typeOf('dendron_id')}; expected rich_text or another text property.`);
+  }
+
+  if (!typeOf('last_synced')) {
+    errors.push('Database is missing the required "last_synced" property.');
+  } else if (typeOf('last_synced') !== 'date') {
+    errors.push(`"last_synced" is ${typeOf('last_synced')}; expected date.`);
+  }
+
+  const targets = new Map();
+  for (const option of rule.fmToSync) {
+    const target = option.target || option.name;
+    const label = option.name || `from ${option.from}`;
+    const type = typeOf(target);
+
+    if (targets.has(target)) {
+      warnings.push(`Property "${target}" is set by both ${targets.get(target)} and ${label}; the last one wins.`);
+    }
+    targets.set(target, label);
+
+    if (!type) {
+      errors.push(`fmToSync ${label} targets "${target}", which is not in the database.`);
+    } else if (!WRITABLE_PROPERTY_TYPES.has(type)) {
+      errors.push(`fmToSync ${label} targets "${target}", a ${type} property that sync cannot write.`);
+    } else if ((option.from === 'fnameDate' || option.dateFormat) && !DATE_VALUE_TYPES.has(type)) {
+      warnings.push(`fmToSync ${label} produces a date but "${target}" is ${type}.`);
+    }
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Index the notes under the given roots with buildNoteIndex
+ * @param {Array<string>} noteRoots - Files or directories to scan
+ * @param {Array<string>} [invalidNotes] - Collects notes whose frontmatter could not be parsed
+ * @returns {Map}
+ */
+function indexNoteRoots(noteRoots, invalidNotes = []) {
+  const noteFiles = new Set();
+  for (const root of noteRoots) {
+    for (const filePath of collectMarkdownFiles(root, DEFAULT_IGNORE_DIRS)) {
+      noteFiles.add(filePath);
+    }
+  }
+  return buildNoteIndex(noteFiles, invalidNotes);
+}
+
+function databaseTitle(database) {
+  return (database.title || []).map((item) => item.plain_text || '').join('') || '(untitled)';
+}
+
+/**
+ * Validate every rule file without writing anything: check each rule against the
+ * rule schema and its destination database, and list the local notes it matches
+ * @param {Object} params
+ * @param {Client} params.client - Notion API client
+ * @param {string} params.rulesDir - Sync rules directory
+ * @param {string} [params.ruleFilter] - Only report this rule
+ * @param {Array<string>} params.noteRoots - Directories to scan for notes
+ * @returns {Promise<{rules: Array, errors: Array<string>, warnings: Array<string>}>}
+ */
+async function validateSyncRules({ client, rulesDir, ruleFilter, noteRoots }) {
+  const report = { rules: [], errors: [], warnings: [] };
+  const validRules = [];
+
+  for (const file of listRuleFiles(rulesDir)) {
+    let rawRules;
+    try {
+      rawRules = readRuleFile(rulesDir, file);
+    } catch (err) {
+      report.errors.push(err.message);
+      continue;
+    }
+
+    for (const rawRule of rawRules) {
+      const entry = {
+        file,
+        ruleName: rawRule.name || path.basename(file, path.extname(file)),
+        rule: null,
+        database: null,
+        matches: [],
+        ...checkRuleKeys(rawRule),
+      };
+      try {
+        entry.rule = normalizeRule(rawRule, file);
+        entry.ruleName = entry.rule.ruleName;
+        validRules.push(entry.rule);
+      } catch (err) {
+        entry.errors.unshift(err.message);
+      }
+      report.rules.push(entry);
+    }
+  }
+
+  if (ruleFilter) {
+    report.rules = report.rules.filter((entry) => entry.ruleName === ruleFilter || entry.file === ruleFilter);
+    if (!report.rules.length) {
+      throw new Error(`No matching sync rules found for "${ruleFilter}".`);
+    }
+  }
+
+  const databases = new Map();
+  for (const entry of report.rules) {
+    if (!entry.rule) continue;
+    const databaseId = normalizeNotionId(entry.rule.destination.databaseId);
+    if (!databases.has(databaseId)) {
+      databases.set(
+        databaseId,
+        client.databases.retrieve({ database_id: databaseId }).then(
+          (database) => ({ database }),
+          (err) => ({ error: err && err.body && err.body.message ? err.body.message : err.message || String(err) })
+        )
+      );
+    }
+    const { database, error } = await databases.get(databaseId);
+    if (error) {
+      entry.errors.push(`Cannot read database ${entry.rule.destination.databaseId}: ${error}`);
+      continue;
+    }
+    entry.database = databaseTitle(database);
+    const checks = checkRuleAgainstSchema(entry.rule, database.properties || {});
+    entry.errors.push(...checks.errors);
+    entry.warnings.push(...checks.warnings);
+  }
+
+  const invalidNotes = [];
+  const noteIndex = indexNoteRoots(noteRoots, invalidNotes);
+  for (const filePath of invalidNotes) {
+    report.warnings.push(`${filePath}: frontmatter could not be parsed.`);
+  }
+
+  const entriesByRule = new Map(report.rules.filter((entry) => entry.rule).map((entry) => [entry.rule, entry]));
+  for (const [fname, note] of noteIndex) {
+    let noteRules;
+    try {
+      noteRules = resolveNoteRules(validRules, fname, note.frontmatter);
+    } catch (err) {
+      report.errors.push(`${fname}: ${err.message}`);
+      continue;
+    }
+    for (const rule of noteRules) {
+      if (entriesByRule.has(rule)) {
+        entriesByRule.get(rule).matches.push(fname);
+      }
+    }
+  }
+
+  return report;
+}
+
+function printValidationReport(report) {
+  for (const entry of report.rules) {
+    const status = entry.errors.length ? '!' : '✓';
+    const destination = entry.database ? ` -> ${entry.database}` : '';
+    console.log(`${status} ${entry.ruleName} (${entry.file})${destination}`);
+    for (const error of entry.errors) {
+      console.log(`    error: ${error}`);
+    }
+    for (const warning of entry.warnings) {
+      console.log(`    warning: ${warning}`);
+    }
+    const listed = entry.matches.slice(0, MAX_LISTED_NOTES).join(', ');
+    const more = entry.matches.length > MAX_LISTED_NOTES ? `, … ${entry.matches.length - MAX_LISTED_NOTES} more` : '';
+    console.log(`    matches ${entry.matches.length} note(s)${listed ? `: ${listed}${more}` : ''}`);
+  }
+
+  for (const error of report.errors) {
+    console.log(`! ${error}`);
+  }
+  for (const warning of report.warnings) {
+    console.log(`  warning: ${warning}`);
+  }
+
+  const errorCount = report.errors.length + report.rules.reduce((total, entry) => total + entry.errors.length, 0);
+  const warningCount = report.warnings.length + report.rules.reduce((total, entry) => total + entry.warnings.length, 0);
+  console.log(`\nValidated ${report.rules.length} rule(s): ${errorCount} error(s), ${warningCount} warning(s).`);
+  return errorCount;
+}
+
+module.exports = {
+  command: 'validate',
+  describe: 'Check sync rules against their databases and list the notes they match, without writing',
+
+  builder: (yargs) => {
+    return yargs
+      .option('rule', {
+        type: 'string',
+        describe: 'Only report a specific sync rule (matches rule name or filename)',
+      })
+      .option('rules-dir', {
+        type: 'string',
+        describe: 'Directory containing sync rule YAML files',
+      })
+      .option('path', {
+        type: 'array',
+        describe: 'Additional file or directory paths to scan for notes',
+        default: [],
+      })
+      .example('$0 sync validate')
+      .example('$0 sync validate --rule task')
+      .example('$0 sync validate --rules-dir ./syncRules');
+  },
+
+  handler: async (argv) => {
+    try {
+      const { rule: ruleFilter, rulesDir: rulesDirInput, path: extraPaths } = argv;
+
+      const token = process.env.NOTION_TOKEN || process.env.NOTION_API_KEY;
+      if (!token) {
+        throw new Error('NOTION_TOKEN (or NOTION_API_KEY) is required. Set it in the environment or .env file.');
+      }
+
+      const report = await validateSyncRules({
+        client: new Client({ auth: token }),
+        rulesDir: resolveRulesDir(rulesDirInput),
+        ruleFilter,
+        noteRoots: resolveNoteRoots(extraPaths),
+      });
+
+      const errorCount = printValidationReport(report);
+      process.exit(errorCount ? 1 : 0);
+    } catch (err) {
+      if (err && err.body) {
+        console.error('Notion API Error:', JSON.stringify(err.body, null, 2));
+      } else {
+        console.error('Error:', err.message || String(err));
+      }
+      process.exit(1);
+    }
+  },
+
+  DENDRON_ID_TYPES,
+  WRITABLE_PROPERTY_TYPES,
+  indexNoteRoots,
+  databaseTitle,
+  checkRuleKeys,
+  checkRuleAgainstSchema,
+  validateSyncRules,
+};
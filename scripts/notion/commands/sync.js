@@ -5,22 +5,70 @@ const path = require('path');
 const yaml = require('js-yaml');
 const {
   coerceValueForPropertyType,
-  markdownToParagraphBlocks,
+  markdownToBlocks,
+  parseWikilinkTarget,
   normalizeNotionId,
   parseFrontmatter,
   serializeFrontmatter,
   matchFnameTrigger,
+  validateWhereConditions,
+  matchWhereConditions,
+  validateFieldTransform,
+  transformFieldValue,
+  reverseFieldValue,
+  validateTitleOption,
+  resolveNoteTitle,
+  titleFields,
+  isEmptyValue,
   parseMultiSelectValues,
   mergeMultiSelectValues,
   formatLocalDateTime,
+  parseLocalDateTime,
+  computeContentHash,
+  hasConflictMarkers,
+  mergeWithConflictMarkers,
   extractNotionIdFromUrl,
   ensureDirectoryExists,
   collectMarkdownFiles,
+  splitInitialChildren,
+  appendBlocksInChunks,
+  blockSignature,
+  blockUpdatePayload,
+  diffBlocks,
 } = require('../utils');
+const { fetchBlockTree, blocksToBody, simplifyPropertyValue } = require('./fetch');
+const { getColumnInfo } = require('./sync-meta');
 
 const NOTION_ONLY_LABEL = 'NOTION_ONLY';
+const HEADING_TYPES = new Set(['heading_1', 'heading_2', 'heading_3']);
+const NOTION_ID_RE = /^[a-f0-9]{8}-?[a-f0-9]{4}-?[a-f0-9]{4}-?[a-f0-9]{4}-?[a-f0-9]{12}$/i;
 const DEFAULT_IGNORE_DIRS = new Set(['node_modules', '.git', 'syncRules']);
 const DEFAULT_RULES_DIR = path.join(os.homedir(), '.notion-agents-skill', 'syncRules');
+const SYNC_DIRECTIONS = ['both', 'push', 'pull'];
+const CONFLICT_STRATEGIES = ['local-wins', 'remote-wins', 'merge'];
+const MATCH_STRATEGIES = ['first', 'all', 'error'];
+// Frontmatter fields that track a note's page; extra destinations keep their own
+// copies under SYNC_PAGES_FIELD, keyed by normalized database ID
+const SYNC_STATE_FIELDS = ['notion_url', 'last_synced', 'sync_hash'];
+const SYNC_PAGES_FIELD = 'notion_pages';
+// last_synced is stored with minute precision, so a file written during the sync
+// minute is not treated as edited afterwards
+const LAST_SYNCED_RESOLUTION_MS = 60 * 1000;
+// Property types whose values can be written back to frontmatter and pushed again
+const PULLABLE_PROPERTY_TYPES = new Set([
+  'title',
+  'rich_text',
+  'number',
+  'select',
+  'multi_select',
+  'status',
+  'date',
+  'checkbox',
+  'url',
+  'email',
+  'phone_number',
+  'relation',
+]);
 
 function resolveRulesDir(rulesDir) {
   if (!rulesDir) {
@@ -38,7 +86,7 @@ function resolveRulesDir(rulesDir) {
   return path.resolve(process.cwd(), rulesDir);
 }
 
-function loadSyncRules(rulesDir) {
+function listRuleFiles(rulesDir) {
   ensureDirectoryExists(rulesDir);
 
   const ruleFiles = fs
@@ -49,55 +97,127 @@ function loadSyncRules(rulesDir) {
   if (!ruleFiles.length) {
     throw new Error(`No sync rule files found in ${rulesDir}`);
   }
+  return ruleFiles;
+}
 
-  const rules = [];
+/**
+ * Read the raw rule objects of one rule file, with file-level settings applied
+ * @param {string} rulesDir - Sync rules directory
+ * @param {string} file - Rule file name
+ * @returns {Array<Object>}
+ */
+function readRuleFile(rulesDir, file) {
+  let rawRules;
+  try {
+    rawRules = yaml.load(fs.readFileSync(path.join(rulesDir, file), 'utf8'));
+  } catch (err) {
+    throw new Error(`Invalid YAML in ${file}: ${err.message || err}`);
+  }
+
+  // matchStrategy and priority next to a `rules` list apply to every rule in the file
+  const fileDefaults = {};
+  if (rawRules && Array.isArray(rawRules.rules)) {
+    for (const key of ['matchStrategy', 'priority']) {
+      if (rawRules[key] !== undefined) {
+        fileDefaults[key] = rawRules[key];
+      }
+    }
+    rawRules = rawRules.rules;
+  }
 
-  for (const file of ruleFiles) {
-    const fullPath = path.join(rulesDir, file);
-    let rawRules;
+  if (!Array.isArray(rawRules)) {
+    rawRules = [rawRules];
+  }
+
+  return rawRules.map((listedRule) => {
+    if (!listedRule || typeof listedRule !== 'object') {
+      throw new Error(`Invalid rule export in ${file}. Expected object or array of objects.`);
+    }
+    return { ...fileDefaults, ...listedRule };
+  });
+}
+
+/**
+ * Validate a raw rule from a rule file and fill in its defaults
+ * @param {Object} rawRule - Rule object from readRuleFile
+ * @param {string} file - Rule file name, for messages and the default rule name
+ * @returns {Object} Sync rule
+ */
+function normalizeRule(rawRule, file) {
+  const fnameTrigger = rawRule.fnameTrigger || rawRule.fnameToTrigger;
+  if (!fnameTrigger) {
+    throw new Error(`Rule in ${file} is missing fnameTrigger.`);
+  }
 
+  const fmToSync = rawRule.fmToSync || [];
+  if (!Array.isArray(fmToSync)) {
+    throw new Error(`Rule in ${file} has invalid fmToSync; expected array.`);
+  }
+
+  fmToSync.forEach((option, index) => {
     try {
-      rawRules = yaml.load(fs.readFileSync(fullPath, 'utf8'));
+      validateFieldTransform(option);
     } catch (err) {
-      throw new Error(`Invalid YAML in ${file}: ${err.message || err}`);
+      const label = option && (option.name || option.target) ? `"${option.name || option.target}"` : `#${index + 1}`;
+      throw new Error(`Rule in ${file} has invalid fmToSync entry ${label}: ${err.message}`);
     }
+  });
 
-    if (rawRules && Array.isArray(rawRules.rules)) {
-      rawRules = rawRules.rules;
-    }
+  if (!rawRule.destination || !rawRule.destination.databaseId) {
+    throw new Error(`Rule in ${file} is missing destination.databaseId.`);
+  }
 
-    if (!Array.isArray(rawRules)) {
-      rawRules = [rawRules];
-    }
+  if (rawRule.notionOnlyLabel !== undefined && typeof rawRule.notionOnlyLabel !== 'string') {
+    throw new Error(`Rule in ${file} has invalid notionOnlyLabel; expected string.`);
+  }
 
-    for (const rawRule of rawRules) {
-      if (!rawRule || typeof rawRule !== 'object') {
-        throw new Error(`Invalid rule export in ${file}. Expected object or array of objects.`);
-      }
+  if (
+    rawRule.preserve !== undefined &&
+    (!Array.isArray(rawRule.preserve) ||
+      rawRule.preserve.some((entry) => !entry || typeof entry.type !== 'string'))
+  ) {
+    throw new Error(`Rule in ${file} has invalid preserve; expected array of { type, label } objects.`);
+  }
 
-      const fnameTrigger = rawRule.fnameTrigger || rawRule.fnameToTrigger;
-      if (!fnameTrigger) {
-        throw new Error(`Rule in ${file} is missing fnameTrigger.`);
-      }
+  if (rawRule.title !== undefined) {
+    try {
+      validateTitleOption(rawRule.title);
+    } catch (err) {
+      throw new Error(`Rule in ${file} has invalid title: ${err.message}`);
+    }
+  }
 
-      const fmToSync = rawRule.fmToSync || [];
-      if (!Array.isArray(fmToSync)) {
-        throw new Error(`Rule in ${file} has invalid fmToSync; expected array.`);
-      }
+  if (rawRule.priority !== undefined && !Number.isFinite(rawRule.priority)) {
+    throw new Error(`Rule in ${file} has invalid priority; expected number.`);
+  }
 
-      if (!rawRule.destination || !rawRule.destination.databaseId) {
-        throw new Error(`Rule in ${file} is missing destination.databaseId.`);
-      }
+  if (rawRule.matchStrategy !== undefined && !MATCH_STRATEGIES.includes(rawRule.matchStrategy)) {
+    throw new Error(`Rule in ${file} has invalid matchStrategy; expected one of ${MATCH_STRATEGIES.join(', ')}.`);
+  }
 
-      rules.push({
-        ...rawRule,
-        fnameTrigger,
-        fmToSync,
-        ruleName: rawRule.name || path.basename(file, path.extname(file)),
-      });
+  if (rawRule.where !== undefined) {
+    try {
+      validateWhereConditions(rawRule.where);
+    } catch (err) {
+      throw new Error(`Rule in ${file} has invalid where: ${err.message}`);
     }
   }
 
+  return {
+    ...rawRule,
+    fnameTrigger,
+    fmToSync,
+    ruleName: rawRule.name || path.basename(file, path.extname(file)),
+  };
+}
+
+function loadSyncRules(rulesDir) {
+  const rules = [];
+  for (const file of listRuleFiles(rulesDir)) {
+    for (const rawRule of readRuleFile(rulesDir, file)) {
+      rules.push(normalizeRule(rawRule, file));
+    }
+  }
   return rules;
 }
 
@@ -128,25 +248,88 @@ async function getDatabaseSchema(client, cache, databaseId) {
 
   const db = await client.databases.retrieve({ database_id: databaseId });
   const propNameToType = {};
+  const columns = {};
   let titlePropName = null;
 
   for (const [propName, schema] of Object.entries(db.properties || {})) {
     propNameToType[propName] = schema.type;
+    columns[propName] = getColumnInfo(propName, schema);
     if (schema.type === 'title' && !titlePropName) {
       titlePropName = propName;
     }
   }
 
-  const schemaInfo = { propNameToType, titlePropName };
+  const schemaInfo = { propNameToType, titlePropName, columns };
   cache.set(databaseId, schemaInfo);
   return schemaInfo;
 }
 
-function isEmptyValue(value) {
-  if (value === undefined || value === null) return true;
-  if (typeof value === 'string') return value.trim() === '';
-  if (Array.isArray(value)) return value.length === 0;
-  return false;
+/**
+ * Find pages in a database whose dendron_id property equals the note id
+ * @param {Object} params
+ * @param {Client} params.client - Notion API client
+ * @param {string} params.databaseId - Destination database ID
+ * @param {Object} params.schema - Schema from getDatabaseSchema
+ * @param {string|number} params.dendronId - Note id from frontmatter
+ * @returns {Promise<Array>} Matching pages
+ */
+async function findPagesByDendronId({ client, databaseId, schema, dendronId }) {
+  const type = schema.propNameToType.dendron_id;
+  if (!type || dendronId === undefined || dendronId === null || dendronId === '') {
+    return [];
+  }
+
+  const value = type === 'number' ? Number(dendronId) : String(dendronId);
+  const response = await client.databases.query({
+    database_id: databaseId,
+    filter: { property: 'dendron_id', [type]: { equals: value } },
+    page_size: 10,
+  });
+  return response.results || [];
+}
+
+/**
+ * Look up the page a note is synced to: by notion_url, or for notes without one,
+ * by dendron_id in the rule's destination database so the page is adopted instead
+ * of duplicated
+ * @returns {Promise<{page: Object|null, adopted: boolean}>}
+ */
+async function resolveExistingPage({ client, frontmatter, rule, schema }) {
+  if (frontmatter.notion_url) {
+    const rawId = extractNotionIdFromUrl(frontmatter.notion_url);
+    if (!rawId) {
+      throw new Error('Unable to extract page ID from notion_url.');
+    }
+    const page = await client.pages.retrieve({ page_id: normalizeNotionId(rawId) });
+    return { page, adopted: false };
+  }
+
+  const matches = await findPagesByDendronId({
+    client,
+    databaseId: rule.destination.databaseId,
+    schema,
+    dendronId: frontmatter.id,
+  });
+  if (matches.length > 1) {
+    const urls = matches.map((page) => page.url).join(', ');
+    throw new Error(`Duplicate pages with dendron_id "${frontmatter.id}": ${urls}. Archive the extras or set notion_url.`);
+  }
+  return matches.length ? { page: matches[0], adopted: true } : { page: null, adopted: false };
+}
+
+/**
+ * Write an adopted page's URL into the note, keeping the file's modification time
+ * so the rewrite does not count as a local edit
+ */
+function recordAdoptedPage(filePath, url, trackingKey = null) {
+  const { atime, mtime } = fs.statSync(filePath);
+  const parsed = parseNoteFile(filePath);
+  const frontmatter = parsed.data || {};
+  const view = syncStateView(frontmatter, trackingKey);
+  view.notion_url = url;
+  const output = serializeFrontmatter(applySyncStateView(frontmatter, trackingKey, view), parsed.body || '');
+  fs.writeFileSync(filePath, output, 'utf8');
+  fs.utimesSync(filePath, atime, mtime);
 }
 
 function normalizeDateValue(value) {
@@ -190,17 +373,130 @@ function buildPropertyValue({ type, value, mode, existingProperty }) {
   return coerceValueForPropertyType(type, String(value));
 }
 
-function buildProperties({ rule, frontmatter, schema, lastSyncedIso, existingProperties }) {
+/**
+ * Resolve one relation reference from frontmatter to a page ID. A reference is a
+ * page ID or URL, a note fname or `[[wikilink]]` (through the note's notion_url),
+ * or the title of a page in the related database. Title lookups are cached in
+ * `titleCache` by database ID and title.
+ * @returns {Promise<{id: string|null, reason: string|null}>}
+ */
+async function resolveRelationReference({ client, reference, databaseId, schemaCache, titleCache, noteIndex }) {
+  const text = String(reference).trim();
+  if (NOTION_ID_RE.test(text) || /^https?:\/\//i.test(text)) {
+    const rawId = extractNotionIdFromUrl(text);
+    return rawId ? { id: normalizeNotionId(rawId), reason: null } : { id: null, reason: 'no page ID in URL' };
+  }
+
+  const wikilink = text.match(/^\[\[([^\]]+)\]\]$/);
+  const target = wikilink ? parseWikilinkTarget(wikilink[1]) : null;
+  const fname = target ? target.fname : text;
+  const entry = noteIndex ? noteIndex.get(fname) : null;
+  if (entry) {
+    const rawId = entry.notionUrl ? extractNotionIdFromUrl(entry.notionUrl) : null;
+    return rawId ? { id: normalizeNotionId(rawId), reason: null } : { id: null, reason: 'note not synced yet' };
+  }
+  if (wikilink) {
+    return { id: null, reason: 'no such note' };
+  }
+
+  if (!databaseId) {
+    return { id: null, reason: 'related database unknown' };
+  }
+  const cacheKey = `${databaseId}:${text}`;
+  if (titleCache && titleCache.has(cacheKey)) {
+    return titleCache.get(cacheKey);
+  }
+  const relatedSchema = await getDatabaseSchema(client, schemaCache, databaseId);
+  let resolved;
+  if (!relatedSchema.titlePropName) {
+    resolved = { id: null, reason: 'related database has no title property' };
+  } else {
+    const response = await client.databases.query({
+      database_id: databaseId,
+      filter: { property: relatedSchema.titlePropName, title: { equals: text } },
+      page_size: 2,
+    });
+    const pages = response.results || [];
+    if (pages.length > 1) {
+      resolved = { id: null, reason: 'several pages have this title' };
+    } else {
+      resolved = pages.length ? { id: normalizeNotionId(pages[0].id), reason: null } : { id: null, reason: 'no page with this title' };
+    }
+  }
+  if (titleCache) {
+    titleCache.set(cacheKey, resolved);
+  }
+  return resolved;
+}
+
+/**
+ * Resolve the references in every relation property a rule sets to page IDs
+ * @param {Object} params
+ * @param {Client} params.client - Notion API client
+ * @param {Object} params.rule - Sync rule
+ * @param {Object} params.frontmatter - Note frontmatter
+ * @param {string} params.fname - Note fname
+ * @param {Object} params.schema - Destination schema from getDatabaseSchema
+ * @param {Map} params.schemaCache - Cache for getDatabaseSchema, used for related databases
+ * @param {Map} [params.titleCache] - Page lookups by related database and title, kept for one run
+ * @param {Map} params.noteIndex - Index from buildNoteIndex
+ * @returns {Promise<{relations: Object<string, Array<string>>, unresolved: Array<string>}>}
+ *   Page IDs by target property, and the references that could not be resolved
+ */
+async function resolveRelationProperties({ client, rule, frontmatter, fname, schema, schemaCache, titleCache, noteIndex }) {
+  const relations = {};
+  const unresolved = [];
+  const cache = schemaCache || new Map();
+  const titles = titleCache || new Map();
+
+  for (const option of rule.fmToSync) {
+    if (!option || (!option.name && !option.from)) {
+      continue;
+    }
+    const targetName = option.target || option.name;
+    if (schema.propNameToType[targetName] !== 'relation') {
+      continue;
+    }
+    const value = transformFieldValue(option, frontmatter, fname);
+    if (isEmptyValue(value)) {
+      continue;
+    }
+
+    const column = schema.columns ? schema.columns[targetName] : null;
+    const databaseId = column && column.database_id ? column.database_id : null;
+    const ids = [];
+    for (const reference of parseMultiSelectValues(value)) {
+      const { id, reason } = await resolveRelationReference({
+        client,
+        reference,
+        databaseId,
+        schemaCache: cache,
+        titleCache: titles,
+        noteIndex,
+      });
+      if (id) {
+        if (!ids.includes(id)) ids.push(id);
+      } else {
+        unresolved.push(`${targetName}: ${reference} (${reason})`);
+      }
+    }
+    relations[targetName] = ids;
+  }
+
+  return { relations, unresolved };
+}
+
+function buildProperties({ rule, frontmatter, fname, schema, lastSyncedIso, existingProperties, relations }) {
   const { propNameToType } = schema;
   const properties = {};
 
   for (const option of rule.fmToSync) {
-    if (!option || !option.name) {
+    if (!option || (!option.name && !option.from)) {
       continue;
     }
 
     const targetName = option.target || option.name;
-    const value = frontmatter[option.name];
+    let value = transformFieldValue(option, frontmatter, fname);
     if (isEmptyValue(value)) {
       continue;
     }
@@ -210,6 +506,13 @@ function buildProperties({ rule, frontmatter, schema, lastSyncedIso, existingPro
       const available = Object.keys(propNameToType).join(', ');
       throw new Error(`Property "${targetName}" not found in database schema. Available properties: ${available}`);
     }
+    // Relations with no resolvable reference are left as they are in Notion
+    if (type === 'relation' && relations && relations[targetName]) {
+      if (!relations[targetName].length) {
+        continue;
+      }
+      value = relations[targetName];
+    }
 
     const mode = option.mode || 'append';
     const propertyValue = buildPropertyValue({
@@ -252,6 +555,23 @@ function buildProperties({ rule, frontmatter, schema, lastSyncedIso, existingPro
   return properties;
 }
 
+/**
+ * Set the page title from the rule's `title` option, overriding any fmToSync
+ * mapping to the title property. Rules without the option leave it alone.
+ */
+function applyRuleTitle({ properties, schema, rule, frontmatter, fname, body }) {
+  if (rule.title === undefined) {
+    return;
+  }
+  if (!schema.titlePropName) {
+    throw new Error('Database is missing a title property.');
+  }
+  const title = resolveNoteTitle(rule.title, { frontmatter, fname, body });
+  if (title) {
+    properties[schema.titlePropName] = coerceValueForPropertyType('title', title);
+  }
+}
+
 function ensureTitleProperty({ properties, schema }) {
   if (!schema.titlePropName) {
     throw new Error('Database is missing a title property.');
@@ -278,19 +598,309 @@ function getNoteFname(frontmatter, filePath) {
   return path.basename(filePath, path.extname(filePath));
 }
 
-function findMatchingRules(rules, fname) {
-  return rules.filter((rule) => matchFnameTrigger(fname, rule.fnameTrigger));
+/**
+ * Index local notes by fname so wikilinks can be resolved to their synced pages
+ * @param {Iterable<string>} noteFiles - Markdown file paths
+ * @param {Array<string>} [invalidFiles] - Collects notes whose frontmatter could not be parsed
+ * @returns {Map<string, {filePath: string, id: string|null, notionUrl: string|null, frontmatter: Object}>}
+ */
+function buildNoteIndex(noteFiles, invalidFiles = []) {
+  const index = new Map();
+  for (const filePath of noteFiles) {
+    let parsed;
+    try {
+      parsed = parseFrontmatter(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+      invalidFiles.push(filePath);
+      continue;
+    }
+    if (!parsed.hasFrontmatter) {
+      continue;
+    }
+    const frontmatter = parsed.data || {};
+    index.set(getNoteFname(frontmatter, filePath), {
+      filePath,
+      id: frontmatter.id !== undefined && frontmatter.id !== null ? String(frontmatter.id) : null,
+      notionUrl: frontmatter.notion_url || null,
+      frontmatter,
+    });
+  }
+  return index;
+}
+
+/**
+ * Build a markdownToBlocks wikilink resolver backed by the note index.
+ * Targets without a synced page are recorded in `unresolved`.
+ * @param {Map} noteIndex - Index from buildNoteIndex
+ * @param {Array<string>} unresolved - Collects fnames that could not be resolved
+ * @returns {Function} Resolver returning a page ID or null
+ */
+function createWikilinkResolver(noteIndex, unresolved) {
+  return (target) => {
+    const entry = noteIndex ? noteIndex.get(target.fname) : null;
+    const rawId = entry && entry.notionUrl ? extractNotionIdFromUrl(entry.notionUrl) : null;
+    if (!rawId) {
+      if (!unresolved.includes(target.fname)) {
+        unresolved.push(target.fname);
+      }
+      return null;
+    }
+    return normalizeNotionId(rawId);
+  };
 }
 
-function isNotionOnlyToggle(block) {
-  if (!block || block.type !== 'toggle') {
+function findMatchingRules(rules, fname, frontmatter) {
+  return rules.filter(
+    (rule) => matchFnameTrigger(fname, rule.fnameTrigger) && matchWhereConditions(frontmatter, fname, rule.where)
+  );
+}
+
+/**
+ * Pick the rules a note syncs with. Matching rules are ordered by `priority`
+ * (highest first, then load order) and the first one's `matchStrategy` decides:
+ * `first` uses it alone, `all` uses every match with a distinct destination, and
+ * `error` (the default) uses it only if no other match has the same priority,
+ * unless exactly one of the tied rules is in `chosen` (the rules picked with --rule).
+ * The first returned rule is the note's primary destination.
+ * @param {Array} rules - All sync rules
+ * @param {string} fname - Note fname
+ * @param {Object} frontmatter - Note frontmatter
+ * @param {Array} [chosen] - Rules selected by the user, used to break a tie
+ * @returns {Array} Rules to sync with, primary first
+ */
+function resolveNoteRules(rules, fname, frontmatter, chosen = null) {
+  const priorityOf = (rule) => rule.priority || 0;
+  const matches = findMatchingRules(rules, fname, frontmatter)
+    .map((rule, index) => ({ rule, index }))
+    .sort((a, b) => priorityOf(b.rule) - priorityOf(a.rule) || a.index - b.index)
+    .map(({ rule }) => rule);
+
+  if (matches.length <= 1) {
+    return matches;
+  }
+
+  const strategy = matches[0].matchStrategy || 'error';
+  if (strategy === 'first') {
+    return [matches[0]];
+  }
+
+  if (strategy === 'all') {
+    const databases = new Set();
+    return matches.filter((rule) => {
+      const databaseId = normalizeNotionId(rule.destination.databaseId);
+      if (databases.has(databaseId)) return false;
+      databases.add(databaseId);
+      return true;
+    });
+  }
+
+  const tied = matches.filter((rule) => priorityOf(rule) === priorityOf(matches[0]));
+  const picked = chosen ? tied.filter((rule) => chosen.includes(rule)) : [];
+  if (tied.length > 1 && picked.length === 1) {
+    return picked;
+  }
+  if (tied.length > 1) {
+    throw new Error(
+      `Note matches multiple rules: ${tied.map((r) => r.ruleName).join(', ')}. Set priority or matchStrategy to choose between them.`
+    );
+  }
+  return [matches[0]];
+}
+
+/**
+ * Frontmatter as seen by one destination: for an extra destination (`trackingKey`
+ * set), the tracking fields are swapped for that destination's copies
+ * @param {Object} frontmatter - Note frontmatter
+ * @param {string|null} trackingKey - Database ID of an extra destination, or null for the primary
+ * @returns {Object}
+ */
+function syncStateView(frontmatter, trackingKey) {
+  if (!trackingKey) {
+    return frontmatter;
+  }
+  const pages = frontmatter[SYNC_PAGES_FIELD] || {};
+  const state = pages[trackingKey] || {};
+  const view = { ...frontmatter };
+  for (const field of SYNC_STATE_FIELDS) {
+    if (state[field] !== undefined) {
+      view[field] = state[field];
+    } else {
+      delete view[field];
+    }
+  }
+  return view;
+}
+
+/**
+ * Store the tracking fields of a syncStateView back into the note's frontmatter
+ * @returns {Object} Frontmatter to write
+ */
+function applySyncStateView(frontmatter, trackingKey, view) {
+  if (!trackingKey) {
+    return view;
+  }
+  const state = {};
+  for (const field of SYNC_STATE_FIELDS) {
+    if (view[field] !== undefined) {
+      state[field] = view[field];
+    }
+  }
+  return {
+    ...frontmatter,
+    [SYNC_PAGES_FIELD]: { ...(frontmatter[SYNC_PAGES_FIELD] || {}), [trackingKey]: state },
+  };
+}
+
+/**
+ * Collect the ids of local notes synced to each destination database
+ * @param {Array} rules - All sync rules
+ * @param {Map} noteIndex - Index from buildNoteIndex
+ * @returns {Map<string, Set<string>>} Normalized database ID -> note ids
+ */
+function collectLocalIdsByDatabase(rules, noteIndex) {
+  const idsByDatabase = new Map();
+  for (const rule of rules) {
+    const databaseId = normalizeNotionId(rule.destination.databaseId);
+    if (!idsByDatabase.has(databaseId)) {
+      idsByDatabase.set(databaseId, new Set());
+    }
+  }
+
+  for (const [fname, entry] of noteIndex) {
+    if (!entry.id) continue;
+    let noteRules;
+    try {
+      noteRules = resolveNoteRules(rules, fname, entry.frontmatter);
+    } catch (err) {
+      // Ambiguous notes fail to sync; keep their pages in every matching database
+      noteRules = findMatchingRules(rules, fname, entry.frontmatter);
+    }
+    for (const rule of noteRules) {
+      idsByDatabase.get(normalizeNotionId(rule.destination.databaseId)).add(entry.id);
+    }
+  }
+  return idsByDatabase;
+}
+
+async function queryAllPages(client, databaseId) {
+  const pages = [];
+  let cursor = undefined;
+
+  do {
+    const response = await client.databases.query({
+      database_id: databaseId,
+      page_size: 100,
+      start_cursor: cursor,
+    });
+    pages.push(...response.results);
+    cursor = response.has_more ? response.next_cursor : undefined;
+  } while (cursor);
+
+  return pages;
+}
+
+/**
+ * Find synced pages whose dendron_id no longer belongs to a local note. Pages
+ * without a dendron_id were not created by sync and are never pruned.
+ * @param {Object} params
+ * @param {Client} params.client - Notion API client
+ * @param {string} params.databaseId - Destination database ID
+ * @param {Set<string>} params.localIds - Ids from collectLocalIdsByDatabase
+ * @returns {Promise<Array<{id: string, url: string, title: string, dendronId: string}>>}
+ */
+async function findPrunablePages({ client, databaseId, localIds }) {
+  const pages = await queryAllPages(client, databaseId);
+  const prunable = [];
+
+  for (const page of pages) {
+    const properties = page.properties || {};
+    const dendronId = properties.dendron_id ? simplifyPropertyValue(properties.dendron_id) : null;
+    if (dendronId === null || dendronId === undefined || dendronId === '' || localIds.has(String(dendronId))) {
+      continue;
+    }
+    const titleProperty = Object.values(properties).find((property) => property && property.type === 'title');
+    prunable.push({
+      id: page.id,
+      url: page.url,
+      title: (titleProperty && simplifyPropertyValue(titleProperty)) || 'Untitled',
+      dendronId: String(dendronId),
+    });
+  }
+  return prunable;
+}
+
+/**
+ * Report pages of the selected rules' databases that have no local note left, and
+ * archive them only when `archive` is set
+ * @returns {Promise<number>} Number of pages archived (or that would be, in a report-only run)
+ */
+async function prunePages({ client, rules, allRules, noteIndex, archive = false, summary }) {
+  const idsByDatabase = collectLocalIdsByDatabase(allRules, noteIndex);
+  const databaseIds = [...new Set(rules.map((rule) => normalizeNotionId(rule.destination.databaseId)))];
+  const prefix = archive ? '✓' : 'DRY RUN:';
+  let pruned = 0;
+
+  console.log('\nPrune report:');
+  for (const databaseId of databaseIds) {
+    const localIds = idsByDatabase.get(databaseId);
+    if (!localIds.size) {
+      summary.warnings.push({
+        filePath: null,
+        message: `Skipped pruning ${databaseId}: no local notes match its rules (is this the right notes directory?)`,
+      });
+      continue;
+    }
+
+    const prunable = await findPrunablePages({ client, databaseId, localIds });
+    console.log(`  ${databaseId}: ${prunable.length} page(s) without a local note`);
+    for (const page of prunable) {
+      console.log(`    - ${page.title} (dendron_id ${page.dendronId}) ${page.url}`);
+    }
+
+    for (const page of prunable) {
+      if (archive) {
+        await client.pages.update({ page_id: page.id, archived: true });
+      }
+      console.log(`${prefix} ${archive ? 'archived' : 'would_archive'} ${page.title} -> ${page.url}`);
+      pruned += 1;
+    }
+  }
+  if (pruned && !archive) {
+    console.log('Nothing was archived. Re-run with --prune --confirm to archive these pages.');
+  }
+  return pruned;
+}
+
+/**
+ * Matchers for blocks that only live in Notion and are never overwritten by sync.
+ * Rules choose the label with `notionOnlyLabel` (default NOTION_ONLY) and the block
+ * types with `preserve` (default: toggles).
+ * @param {Object} [rule] - Sync rule
+ * @returns {Array<{type: string, label: string}>}
+ */
+function getPreserveMatchers(rule) {
+  const label = (rule && rule.notionOnlyLabel) || NOTION_ONLY_LABEL;
+  const entries = rule && Array.isArray(rule.preserve) ? rule.preserve : [{ type: 'toggle' }];
+  return entries.map((entry) => ({ type: entry.type, label: entry.label || label }));
+}
+
+/**
+ * Check whether a block is preserved: its type matches and the first line of its
+ * text is the label
+ * @param {Object} block - Notion block
+ * @param {Array} matchers - From getPreserveMatchers
+ * @returns {boolean}
+ */
+function isPreservedBlock(block, matchers) {
+  if (!block || !block.type || !block[block.type]) {
     return false;
   }
-  const text = (block.toggle?.rich_text || [])
-    .map((item) => item.plain_text)
+  const text = (block[block.type].rich_text || [])
+    .map((item) => item.plain_text ?? item.text?.content ?? '')
     .join('')
     .trim();
-  return text === NOTION_ONLY_LABEL;
+  const firstLine = text.split('\n')[0].trim();
+  return matchers.some((matcher) => matcher.type === block.type && matcher.label === firstLine);
 }
 
 async function listAllBlockChildren(client, blockId) {
@@ -311,50 +921,550 @@ async function listAllBlockChildren(client, blockId) {
   return results;
 }
 
-async function archiveBlocks(client, blocks) {
-  for (const block of blocks) {
-    await client.blocks.update({ block_id: block.id, archived: true });
+function childBlocksOf(block) {
+  const value = block[block.type];
+  return value && Array.isArray(value.children) ? value.children : [];
+}
+
+/**
+ * Record what a preserved block sits after, so it can keep its place when the
+ * surrounding content changes
+ * @param {Array} existing - Current child blocks
+ * @param {number} index - Index of the preserved block
+ * @param {Function} isPreserved - Block predicate
+ * @returns {{previous: string|null, heading: string|null, atEnd: boolean}} Block signatures
+ */
+function describePreservedAnchor(existing, index, isPreserved) {
+  let previous = null;
+  let heading = null;
+  for (let i = index - 1; i >= 0 && !heading; i -= 1) {
+    if (isPreserved(existing[i])) continue;
+    if (!previous) {
+      previous = blockSignature(existing[i]);
+    }
+    if (HEADING_TYPES.has(existing[i].type)) {
+      heading = blockSignature(existing[i]);
+    }
   }
+  const atEnd = existing.slice(index + 1).every(isPreserved);
+  return { previous, heading, atEnd };
 }
 
-function chunkBlocks(blocks, size = 100) {
-  const chunks = [];
-  for (let i = 0; i < blocks.length; i += size) {
-    chunks.push(blocks.slice(i, i + size));
+function sectionEnd(blocks, headingIndex) {
+  const level = Number(blocks[headingIndex].type.slice(-1));
+  let i = headingIndex + 1;
+  while (i < blocks.length && !(HEADING_TYPES.has(blocks[i].type) && Number(blocks[i].type.slice(-1)) <= level)) {
+    i += 1;
   }
-  return chunks;
+  return i;
 }
 
-async function appendBlocksInChunks(client, pageId, blocks) {
-  if (!blocks || !blocks.length) {
-    return;
+/**
+ * Place preserved blocks among the new blocks: at the end if that is where they
+ * were, otherwise right after the block that preceded them, otherwise at the end
+ * of their heading's section. Blocks keep their relative order.
+ * @param {Array} anchors - From describePreservedAnchor
+ * @param {Array} blocks - Notion block payloads
+ * @returns {Array<number>} For each anchor, the number of new blocks placed before it
+ */
+function placePreservedBlocks(anchors, blocks) {
+  const signatures = blocks.map(blockSignature);
+  let floor = 0;
+  return anchors.map((anchor) => {
+    const find = (signature) => (signature ? signatures.indexOf(signature, Math.max(floor - 1, 0)) : -1);
+    let target;
+    if (anchor.atEnd) {
+      target = blocks.length;
+    } else if (find(anchor.previous) !== -1) {
+      target = find(anchor.previous) + 1;
+    } else if (find(anchor.heading) !== -1) {
+      target = sectionEnd(blocks, find(anchor.heading));
+    } else {
+      target = anchor.previous ? blocks.length : 0;
+    }
+    floor = Math.max(floor, target);
+    return floor;
+  });
+}
+
+/**
+ * Bring a block's existing children in line with `blocks`, updating changed blocks
+ * in place, inserting new ones after their predecessor and archiving removed ones.
+ * Reused blocks are synced recursively. Preserved blocks are left untouched and the
+ * new content is arranged around them (see placePreservedBlocks).
+ * @param {Object} params
+ * @param {Client} params.client - Notion API client
+ * @param {string} params.parentId - Page or block ID
+ * @param {Array} params.existing - Current child blocks
+ * @param {Array} params.blocks - Notion block payloads the children should become
+ * @param {Object} params.stats - Counters for unchanged, updated, inserted and archived blocks
+ * @param {Function} params.isPreserved - Predicate for blocks sync must not touch
+ */
+async function syncBlockChildren({ client, parentId, existing, blocks, stats, isPreserved }) {
+  const preserved = [];
+  const segments = [[]];
+  existing.forEach((block, index) => {
+    if (isPreserved(block)) {
+      preserved.push({ block, anchor: describePreservedAnchor(existing, index, isPreserved) });
+      segments.push([]);
+    } else {
+      segments[segments.length - 1].push(block);
+    }
+  });
+
+  const bounds = [0, ...placePreservedBlocks(preserved.map((entry) => entry.anchor), blocks), blocks.length];
+  let carried = [];
+
+  for (let k = 0; k < segments.length; k += 1) {
+    const anchor = k === 0 ? null : preserved[k - 1].block.id;
+    const segmentBlocks = [...carried, ...blocks.slice(bounds[k], bounds[k + 1])];
+    let ops = diffBlocks(segments[k], segmentBlocks, { anchored: Boolean(anchor) });
+    carried = [];
+
+    // Blocks can only be inserted after another block: content that would go above
+    // the first preserved block with nothing kept to follow moves below it instead
+    if (!anchor && k < segments.length - 1 && !ops.some((op) => op.op === 'keep' || op.op === 'update')) {
+      carried = ops.filter((op) => op.op === 'insert').map((op) => op.block);
+      ops = ops.filter((op) => op.op !== 'insert');
+    }
+
+    await applyBlockOps({ client, parentId, ops, anchor, stats, isPreserved });
   }
-  const chunks = chunkBlocks(blocks, 100);
-  for (const chunk of chunks) {
-    await client.blocks.children.append({
-      block_id: pageId,
-      children: chunk,
-    });
+}
+
+async function applyBlockOps({ client, parentId, ops, anchor: initialAnchor, stats, isPreserved }) {
+  let anchor = initialAnchor;
+  let pendingInserts = [];
+
+  const flushInserts = async () => {
+    if (!pendingInserts.length) return;
+    const created = await appendBlocksInChunks(client, parentId, pendingInserts, anchor ? { after: anchor } : {});
+    stats.inserted += pendingInserts.length;
+    if (created.length) {
+      anchor = created[created.length - 1].id;
+    }
+    pendingInserts = [];
+  };
+
+  for (const op of ops) {
+    if (op.op === 'insert') {
+      pendingInserts.push(op.block);
+      continue;
+    }
+    if (op.op === 'archive') {
+      await client.blocks.update({ block_id: op.existing.id, archived: true });
+      stats.archived += 1;
+      continue;
+    }
+
+    await flushInserts();
+    if (op.op === 'update') {
+      await client.blocks.update({ block_id: op.existing.id, ...blockUpdatePayload(op.block) });
+      stats.updated += 1;
+    } else {
+      stats.unchanged += 1;
+    }
+    anchor = op.existing.id;
+
+    const children = childBlocksOf(op.block);
+    if (op.existing.has_children) {
+      await syncBlockChildren({
+        client,
+        parentId: op.existing.id,
+        existing: await listAllBlockChildren(client, op.existing.id),
+        blocks: children,
+        stats,
+        isPreserved,
+      });
+    } else if (children.length) {
+      await appendBlocksInChunks(client, op.existing.id, children);
+      stats.inserted += children.length;
+    }
+  }
+
+  await flushInserts();
+}
+
+/**
+ * Update a page body to match `blocks` with as few block changes as possible,
+ * keeping the rule's preserved blocks in place
+ * @returns {Promise<{unchanged: number, updated: number, inserted: number, archived: number}>}
+ */
+async function updatePageBody({ client, pageId, blocks, rule }) {
+  const stats = { unchanged: 0, updated: 0, inserted: 0, archived: 0 };
+  const matchers = getPreserveMatchers(rule);
+  const existing = await listAllBlockChildren(client, pageId);
+  await syncBlockChildren({
+    client,
+    parentId: pageId,
+    existing,
+    blocks: blocks || [],
+    stats,
+    isPreserved: (block) => isPreservedBlock(block, matchers),
+  });
+  return stats;
+}
+
+function describeBlockChanges(stats) {
+  return ` (blocks: ${stats.updated} updated, ${stats.inserted} inserted, ${stats.archived} archived, ${stats.unchanged} unchanged)`;
+}
+
+/**
+ * Check whether a page was edited in Notion after the note was last synced
+ * @param {Object} page - Notion page object
+ * @param {Object} frontmatter - Note frontmatter
+ * @returns {boolean}
+ */
+function isRemoteNewer(page, frontmatter) {
+  const lastSynced = parseLocalDateTime(frontmatter.last_synced);
+  if (!lastSynced || !page || !page.last_edited_time) {
+    return false;
   }
+  return new Date(page.last_edited_time).getTime() > lastSynced.getTime();
 }
 
-async function replacePageBody({ client, pageId, body }) {
-  const existingBlocks = await listAllBlockChildren(client, pageId);
-  const blocksToArchive = existingBlocks.filter((block) => !isNotionOnlyToggle(block));
-  if (blocksToArchive.length) {
-    await archiveBlocks(client, blocksToArchive);
+/**
+ * Check whether the note file was modified after it was last synced
+ * @param {Date} modifiedAt - File modification time
+ * @param {Object} frontmatter - Note frontmatter
+ * @returns {boolean}
+ */
+function isLocalNewer(modifiedAt, frontmatter) {
+  const lastSynced = parseLocalDateTime(frontmatter.last_synced);
+  if (!lastSynced || !modifiedAt) {
+    return false;
   }
+  return modifiedAt.getTime() >= lastSynced.getTime() + LAST_SYNCED_RESOLUTION_MS;
+}
 
-  if (!body) {
-    return;
+/**
+ * Hash of the parts of a note that sync sends to Notion: the body, the dendron id,
+ * the fname, the rule's fmToSync fields and the fields its `title` reads. The
+ * rule's fmToSync and title settings are hashed too, so editing a transform
+ * re-pushes the notes it applies to. Stored as `sync_hash` after each sync.
+ * @param {Object} rule - Sync rule
+ * @param {Object} frontmatter - Note frontmatter
+ * @param {string} body - Note body
+ * @param {string} [fname] - Note fname, which computed fields and titles can read
+ * @returns {string} Hex digest
+ */
+function noteContentHash(rule, frontmatter, body, fname) {
+  const fields = ['id', ...rule.fmToSync.filter((option) => option && option.name).map((option) => option.name)];
+  if (rule.title !== undefined) {
+    fields.push(...titleFields(rule.title));
   }
+  return computeContentHash(frontmatter, fields, body, {
+    fname: fname || null,
+    fmToSync: rule.fmToSync,
+    title: rule.title === undefined ? null : rule.title,
+  });
+}
 
-  const newBlocks = markdownToParagraphBlocks(body);
-  if (!newBlocks.length) {
+/**
+ * Record `sync_hash` after a push. It stays unset while wikilinks or relation
+ * references are unresolved, so later runs push the note again and link them
+ * once their pages exist.
+ */
+function recordSyncHash({ rule, frontmatter, body, fname, unresolvedLinks, unresolvedRelations }) {
+  if (unresolvedLinks.length || unresolvedRelations.length) {
+    delete frontmatter.sync_hash;
     return;
   }
+  frontmatter.sync_hash = noteContentHash(rule, frontmatter, body, fname);
+}
+
+function isUnchangedSinceSync(frontmatter, contentHash) {
+  return Boolean(frontmatter.sync_hash) && frontmatter.sync_hash === contentHash;
+}
+
+/**
+ * Decide what to do with a note given which sides changed since last_synced.
+ * Local changes are detected from `sync_hash` when the note has one, and from
+ * the file modification time otherwise.
+ * @param {Object} params
+ * @param {Object|null} params.page - Existing Notion page, if the note is synced
+ * @param {Object} params.frontmatter - Note frontmatter
+ * @param {Date} params.modifiedAt - Note file modification time
+ * @param {string} [params.contentHash] - Current noteContentHash of the note
+ * @param {string} params.direction - One of SYNC_DIRECTIONS
+ * @param {string} [params.strategy] - One of CONFLICT_STRATEGIES; unset refuses conflicts
+ * @param {boolean} [params.force] - Push synced notes even when they are unchanged
+ * @returns {'push'|'pull'|'merge'|'conflict'|'skip'|'unchanged'}
+ */
+function planSync({ page, frontmatter, modifiedAt, contentHash, direction = 'both', strategy, force = false }) {
+  const remoteChanged = Boolean(page) && isRemoteNewer(page, frontmatter);
+  const localChanged =
+    Boolean(page) &&
+    (frontmatter.sync_hash && contentHash
+      ? !isUnchangedSinceSync(frontmatter, contentHash)
+      : isLocalNewer(modifiedAt, frontmatter));
+
+  if (remoteChanged && localChanged) {
+    if (strategy === 'local-wins') return direction === 'pull' ? 'skip' : 'push';
+    if (strategy === 'remote-wins') return direction === 'push' ? 'skip' : 'pull';
+    // Merging rewrites the local note, which a push-only run must not do
+    if (strategy === 'merge') return direction === 'push' ? 'skip' : 'merge';
+    return 'conflict';
+  }
+
+  if (remoteChanged && direction !== 'push') {
+    return 'pull';
+  }
+  if (direction === 'pull') {
+    return 'skip';
+  }
+  if (page && !force && isUnchangedSinceSync(frontmatter, contentHash)) {
+    return 'unchanged';
+  }
+  return 'push';
+}
+
+function remotePropertyToFrontmatterValue(property, currentValue, fnameForPage = null) {
+  let value = simplifyPropertyValue(property);
+  if (property.type === 'date' && value && typeof value === 'object') {
+    value = value.start;
+  }
+  if (property.type === 'relation' && fnameForPage) {
+    value = value.map((id) => fnameForPage(id) || id);
+  }
+  // Keep comma-separated frontmatter lists in the form the note already uses
+  if (Array.isArray(value) && typeof currentValue === 'string') {
+    value = value.join(', ');
+  }
+  return value;
+}
+
+function sameFrontmatterValue(type, current, next) {
+  if (type === 'relation') {
+    const currentIds = parseMultiSelectValues(current).map(normalizeNotionId);
+    const nextIds = parseMultiSelectValues(next).map(normalizeNotionId);
+    return currentIds.join(',') === nextIds.join(',');
+  }
+  if (Array.isArray(current) || Array.isArray(next)) {
+    return parseMultiSelectValues(current).join('\n') === parseMultiSelectValues(next).join('\n');
+  }
+  if (current instanceof Date && typeof next === 'string') {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(next)) {
+      return current.toISOString().slice(0, 10) === next;
+    }
+    return current.getTime() === new Date(next).getTime();
+  }
+  return String(current ?? '') === String(next ?? '');
+}
+
+/**
+ * Copy page property values back into frontmatter through the rule's fmToSync
+ * mappings (target property -> frontmatter name). Mutates `frontmatter`.
+ * Values that still match the note after the entry's transforms are left alone,
+ * value maps are reversed, and computed (`from`) fields are never pulled.
+ * Relations that still link the pages the note's references resolve to are left
+ * alone; changed ones are written as note fnames where a synced note has the page.
+ * @param {Object} params
+ * @param {Object} params.rule - Sync rule
+ * @param {Object} params.frontmatter - Note frontmatter
+ * @param {Object} params.properties - Raw Notion page properties
+ * @param {Object} [params.relations] - Page IDs by target property from resolveRelationProperties
+ * @param {Map} [params.noteIndex] - Index from buildNoteIndex
+ * @returns {Array<string>} Frontmatter fields that changed
+ */
+function applyRemoteProperties({ rule, frontmatter, properties, relations, noteIndex }) {
+  const fnameForPage = createPageMentionResolver(noteIndex);
+  const changed = [];
+
+  for (const option of rule.fmToSync) {
+    if (!option || !option.name) {
+      continue;
+    }
+
+    const property = properties ? properties[option.target || option.name] : null;
+    if (!property || !PULLABLE_PROPERTY_TYPES.has(property.type)) {
+      continue;
+    }
+
+    const current = frontmatter[option.name];
+    const resolved = property.type === 'relation' && relations ? relations[option.target || option.name] : null;
+    if (resolved && sameFrontmatterValue('relation', resolved, simplifyPropertyValue(property))) {
+      continue;
+    }
+    const remote = remotePropertyToFrontmatterValue(property, current, fnameForPage);
+    if (!isEmptyValue(remote) && sameFrontmatterValue(property.type, transformFieldValue(option, frontmatter), remote)) {
+      continue;
+    }
+
+    const next = reverseFieldValue(option, remote);
+    if (isEmptyValue(next)) {
+      if (!isEmptyValue(current)) {
+        delete frontmatter[option.name];
+        changed.push(option.name);
+      }
+      continue;
+    }
+
+    if (!sameFrontmatterValue(property.type, current, next)) {
+      frontmatter[option.name] = next;
+      changed.push(option.name);
+    }
+  }
+
+  return changed;
+}
+
+/**
+ * Build a blocksToBody mention resolver that renders mentions of synced notes as wikilinks
+ * @param {Map} noteIndex - Index from buildNoteIndex
+ * @returns {Function} Resolver returning a note fname or null
+ */
+function createPageMentionResolver(noteIndex) {
+  const fnamesByPageId = new Map();
+  for (const [fname, entry] of noteIndex || []) {
+    const rawId = entry.notionUrl ? extractNotionIdFromUrl(entry.notionUrl) : null;
+    if (rawId) {
+      fnamesByPageId.set(normalizeNotionId(rawId), fname);
+    }
+  }
+  return (pageId) => (pageId ? fnamesByPageId.get(normalizeNotionId(pageId)) || null : null);
+}
+
+async function renderRemoteBody({ client, page, rule, noteIndex }) {
+  // Fetch the whole tree: a truncated body would delete nested content on the next push
+  const blocks = await fetchBlockTree({ client, blockId: page.id, maxDepth: Infinity });
+  const matchers = getPreserveMatchers(rule);
+  return blocksToBody(
+    blocks.filter((block) => !isPreservedBlock(block, matchers)),
+    { blankLines: true, pageMentionToWikilink: createPageMentionResolver(noteIndex) }
+  );
+}
+
+/**
+ * Resolve the note's relation references so a pull can tell whether Notion changed
+ * them. Returns null without a destination schema.
+ */
+async function resolveLocalRelations({ client, filePath, rule, frontmatter, schema, schemaCache, titleCache, noteIndex }) {
+  if (!schema) {
+    return null;
+  }
+  const fname = getNoteFname(frontmatter, filePath);
+  const { relations } = await resolveRelationProperties({
+    client,
+    rule,
+    frontmatter,
+    fname,
+    schema,
+    schemaCache,
+    titleCache,
+    noteIndex,
+  });
+  return relations;
+}
+
+/**
+ * Pull a page's properties and body back into its local note
+ * @param {Object} params
+ * @param {Client} params.client - Notion API client
+ * @param {string} params.filePath - Note file path
+ * @param {Object} params.rule - Sync rule matching the note
+ * @param {Object} params.page - Notion page the note is synced to
+ * @param {Object} [params.schema] - Destination schema, used to resolve relation references
+ * @param {Map} [params.schemaCache] - Cache for getDatabaseSchema
+ * @param {Map} [params.titleCache] - Relation title lookups, see resolveRelationProperties
+ * @param {Map} params.noteIndex - Index from buildNoteIndex
+ * @param {boolean} params.dryRun - Report changes without writing the note
+ * @returns {Promise<{action: string, url: string, changedFields: Array<string>, bodyChanged: boolean}>}
+ */
+async function pullNote({ client, filePath, rule, page, schema, schemaCache, titleCache, noteIndex, dryRun }) {
+  const parsed = parseNoteFile(filePath);
+  const frontmatter = parsed.data || {};
+  if (!frontmatter.notion_url && page.url) {
+    frontmatter.notion_url = page.url;
+  }
+  const relations = await resolveLocalRelations({
+    client,
+    filePath,
+    rule,
+    frontmatter,
+    schema,
+    schemaCache,
+    titleCache,
+    noteIndex,
+  });
+  const changedFields = applyRemoteProperties({ rule, frontmatter, properties: page.properties, relations, noteIndex });
+  const body = await renderRemoteBody({ client, page, rule, noteIndex });
+  const bodyChanged = body !== (parsed.body || '').trim();
+  const url = frontmatter.notion_url;
+
+  if (dryRun) {
+    return { action: 'would_pull', url, changedFields, bodyChanged };
+  }
+
+  frontmatter.last_synced = formatLocalDateTime(new Date());
+  frontmatter.sync_hash = noteContentHash(rule, frontmatter, body, getNoteFname(frontmatter, filePath));
+  fs.writeFileSync(filePath, serializeFrontmatter(frontmatter, body), 'utf8');
+
+  return { action: 'pulled', url, changedFields, bodyChanged };
+}
+
+/**
+ * Merge a page edited on both sides into its local note. The body gets conflict
+ * markers around every region where the note and the page differ; frontmatter
+ * keeps the local values and reports properties that differ in Notion.
+ * Nothing is written to Notion; the note is pushed once the markers are resolved.
+ * @param {Object} params - Same as pullNote
+ * @returns {Promise<{action: string, url: string, conflicts: number, differingFields: Array<string>}>}
+ */
+async function mergeNote({ client, filePath, rule, page, schema, schemaCache, titleCache, noteIndex, dryRun }) {
+  const parsed = parseNoteFile(filePath);
+  const frontmatter = parsed.data || {};
+  if (!frontmatter.notion_url && page.url) {
+    frontmatter.notion_url = page.url;
+  }
+  const relations = await resolveLocalRelations({
+    client,
+    filePath,
+    rule,
+    frontmatter,
+    schema,
+    schemaCache,
+    titleCache,
+    noteIndex,
+  });
+  const differingFields = applyRemoteProperties({
+    rule,
+    frontmatter: { ...frontmatter },
+    properties: page.properties,
+    relations,
+    noteIndex,
+  });
+  const remoteBody = await renderRemoteBody({ client, page, rule, noteIndex });
+  const merged = mergeWithConflictMarkers((parsed.body || '').trim(), remoteBody, {
+    localLabel: 'local',
+    remoteLabel: 'notion',
+  });
+  const url = frontmatter.notion_url;
+
+  if (dryRun) {
+    return { action: 'would_merge', url, conflicts: merged.conflicts, differingFields };
+  }
+
+  frontmatter.last_synced = formatLocalDateTime(new Date());
+  fs.writeFileSync(filePath, serializeFrontmatter(frontmatter, merged.text), 'utf8');
 
-  await appendBlocksInChunks(client, pageId, newBlocks);
+  return { action: 'merged', url, conflicts: merged.conflicts, differingFields };
+}
+
+function describeMergeResult(result) {
+  const details = [`${result.conflicts} conflict(s) in body`];
+  if (result.differingFields.length) {
+    details.push(`properties differ in Notion: ${result.differingFields.join(', ')}`);
+  }
+  return ` (${details.join('; ')})`;
+}
+
+function describePullChanges(result) {
+  const changes = [...result.changedFields];
+  if (result.bodyChanged) {
+    changes.push('body');
+  }
+  return changes.length ? ` (${changes.join(', ')})` : ' (no changes)';
 }
 
 async function syncNote({
@@ -362,41 +1472,83 @@ async function syncNote({
   filePath,
   rule,
   schema,
+  schemaCache,
+  titleCache,
   existingPage,
+  noteIndex,
   dryRun,
+  trackingKey = null,
 }) {
   const parsed = parseNoteFile(filePath);
-  const frontmatter = parsed.data || {};
+  const noteFrontmatter = parsed.data || {};
+  const frontmatter = syncStateView(noteFrontmatter, trackingKey);
   const noteBody = parsed.body || '';
+  if (!frontmatter.notion_url && existingPage) {
+    frontmatter.notion_url = existingPage.url;
+  }
+  if (hasConflictMarkers(noteBody)) {
+    throw new Error('Note has unresolved conflict markers. Resolve them before syncing.');
+  }
+  const unresolvedLinks = [];
+  const newBlocks = markdownToBlocks(noteBody, {
+    resolveWikilink: createWikilinkResolver(noteIndex, unresolvedLinks),
+  });
   const syncTimestamp = new Date();
-  const lastSyncedFrontmatter = formatLocalDateTime(syncTimestamp);
   const lastSyncedIso = syncTimestamp.toISOString();
 
+  const fname = getNoteFname(frontmatter, filePath);
+  const { relations, unresolved: unresolvedRelations } = await resolveRelationProperties({
+    client,
+    rule,
+    frontmatter,
+    fname,
+    schema,
+    schemaCache,
+    titleCache,
+    noteIndex,
+  });
   const properties = buildProperties({
     rule,
     frontmatter,
+    fname,
     schema,
     lastSyncedIso,
     existingProperties: existingPage ? existingPage.properties : null,
+    relations,
   });
+  applyRuleTitle({ properties, schema, rule, frontmatter, fname, body: noteBody });
 
-  frontmatter.last_synced = lastSyncedFrontmatter;
-
+  // last_synced is stamped after the writes so the page's own last_edited_time
+  // does not look like a remote edit on the next run
   if (!frontmatter.notion_url) {
     ensureTitleProperty({ properties, schema });
     if (dryRun) {
-      return { action: 'would_create', url: null };
+      return { action: 'would_create', url: null, unresolvedLinks, unresolvedRelations };
     }
+    // The first request's worth of the body goes with the page, so a rejected
+    // body leaves no untracked empty page behind
+    const { initial, remaining } = splitInitialChildren(newBlocks);
     const created = await client.pages.create({
       parent: { database_id: rule.destination.databaseId },
       properties,
+      children: initial,
     });
-    const newBlocks = markdownToParagraphBlocks(noteBody);
-    await appendBlocksInChunks(client, created.id, newBlocks);
+    await appendBlocksInChunks(client, created.id, remaining);
     frontmatter.notion_url = created.url;
-    const output = serializeFrontmatter(frontmatter, noteBody);
+    frontmatter.last_synced = formatLocalDateTime(new Date());
+    recordSyncHash({ rule, frontmatter, body: noteBody, fname, unresolvedLinks, unresolvedRelations });
+    const output = serializeFrontmatter(applySyncStateView(noteFrontmatter, trackingKey, frontmatter), noteBody);
     fs.writeFileSync(filePath, output, 'utf8');
-    return { action: 'created', url: created.url };
+    // Wikilinks resolve to the primary page only
+    if (noteIndex && !trackingKey) {
+      noteIndex.set(getNoteFname(frontmatter, filePath), {
+        filePath,
+        id: frontmatter.id !== undefined && frontmatter.id !== null ? String(frontmatter.id) : null,
+        notionUrl: created.url,
+        frontmatter,
+      });
+    }
+    return { action: 'created', url: created.url, unresolvedLinks, unresolvedRelations };
   }
 
   const rawId = extractNotionIdFromUrl(frontmatter.notion_url);
@@ -406,7 +1558,7 @@ async function syncNote({
   const pageId = normalizeNotionId(rawId);
 
   if (dryRun) {
-    return { action: 'would_update', url: frontmatter.notion_url };
+    return { action: 'would_update', url: frontmatter.notion_url, unresolvedLinks, unresolvedRelations };
   }
 
   await client.pages.update({
@@ -414,12 +1566,473 @@ async function syncNote({
     properties,
   });
 
-  await replacePageBody({ client, pageId, body: noteBody });
+  const blockChanges = await updatePageBody({ client, pageId, blocks: newBlocks, rule });
 
-  const output = serializeFrontmatter(frontmatter, noteBody);
+  frontmatter.last_synced = formatLocalDateTime(new Date());
+  recordSyncHash({ rule, frontmatter, body: noteBody, fname, unresolvedLinks, unresolvedRelations });
+  const output = serializeFrontmatter(applySyncStateView(noteFrontmatter, trackingKey, frontmatter), noteBody);
   fs.writeFileSync(filePath, output, 'utf8');
 
-  return { action: 'updated', url: frontmatter.notion_url };
+  return { action: 'updated', url: frontmatter.notion_url, unresolvedLinks, unresolvedRelations, blockChanges };
+}
+
+function createSummary() {
+  return {
+    total: 0,
+    matched: 0,
+    created: 0,
+    updated: 0,
+    pulled: 0,
+    merged: 0,
+    unchanged: 0,
+    pruned: 0,
+    skipped: 0,
+    conflicts: [],
+    errors: [],
+    warnings: [],
+  };
+}
+
+function selectRules(allRules, ruleFilter) {
+  const rules = ruleFilter
+    ? allRules.filter((r) => r.ruleName === ruleFilter || r.name === ruleFilter)
+    : allRules;
+
+  if (!rules.length) {
+    throw new Error(`No matching sync rules found${ruleFilter ? ` for "${ruleFilter}"` : ''}.`);
+  }
+  return rules;
+}
+
+/**
+ * Sync a note with one destination rule and record the outcome in `summary`.
+ * Extra destinations (`trackingKey` set) are push-only and keep their own
+ * tracking fields, so edits in their pages never come back into the note.
+ */
+async function syncNoteDestination({
+  client,
+  filePath,
+  noteFname,
+  rule,
+  trackingKey,
+  schemaCache,
+  titleCache,
+  noteIndex,
+  options,
+  summary,
+}) {
+  const { dryRun, force } = options;
+  const direction = trackingKey ? 'push' : options.direction || 'both';
+  const strategy = trackingKey ? 'local-wins' : options.strategy;
+  const prefix = dryRun ? 'DRY RUN:' : '✓';
+  const label = trackingKey ? `${noteFname} [${rule.ruleName}]` : noteFname;
+
+  if (trackingKey && options.direction === 'pull') {
+    summary.skipped += 1;
+    return;
+  }
+
+  const parsed = parseNoteFile(filePath);
+  const frontmatter = syncStateView(parsed.data || {}, trackingKey);
+  const schema = await getDatabaseSchema(client, schemaCache, rule.destination.databaseId);
+
+  const contentHash = noteContentHash(rule, frontmatter, parsed.body || '', noteFname);
+  // Pushing only cares about local changes, so unchanged notes need no API calls
+  if (direction === 'push' && !force && frontmatter.notion_url && isUnchangedSinceSync(frontmatter, contentHash)) {
+    summary.unchanged += 1;
+    return;
+  }
+
+  const { page: existingPage, adopted } = await resolveExistingPage({ client, frontmatter, rule, schema });
+  if (adopted) {
+    if (!dryRun) {
+      recordAdoptedPage(filePath, existingPage.url, trackingKey);
+    }
+    console.log(`${prefix} ${dryRun ? 'would_adopt' : 'adopted'} ${label} -> ${existingPage.url} (matched dendron_id)`);
+  }
+
+  const plan = planSync({
+    page: existingPage,
+    frontmatter,
+    modifiedAt: fs.statSync(filePath).mtime,
+    contentHash,
+    direction,
+    strategy,
+    force,
+  });
+
+  if (plan === 'conflict') {
+    const message = `${noteFname}: changed locally and in Notion since last_synced (${frontmatter.last_synced}). Rerun with --strategy local-wins, remote-wins or merge.`;
+    summary.conflicts.push({ filePath, message });
+    console.error(`! Conflict ${noteFname}`);
+    return;
+  }
+
+  if (plan === 'merge') {
+    const merged = await mergeNote({
+      client,
+      filePath,
+      rule,
+      page: existingPage,
+      schema,
+      schemaCache,
+      titleCache,
+      noteIndex,
+      dryRun,
+    });
+    summary.merged += 1;
+    console.log(`${prefix} ${merged.action} ${noteFname} <- ${merged.url}${describeMergeResult(merged)}`);
+    return;
+  }
+
+  if (plan === 'pull') {
+    const pulled = await pullNote({
+      client,
+      filePath,
+      rule,
+      page: existingPage,
+      schema,
+      schemaCache,
+      titleCache,
+      noteIndex,
+      dryRun,
+    });
+    summary.pulled += 1;
+    console.log(`${prefix} ${pulled.action} ${noteFname} <- ${pulled.url}${describePullChanges(pulled)}`);
+    return;
+  }
+
+  if (plan === 'unchanged') {
+    summary.unchanged += 1;
+    return;
+  }
+
+  if (plan === 'skip') {
+    summary.skipped += 1;
+    return;
+  }
+
+  const result = await syncNote({
+    client,
+    filePath,
+    rule,
+    schema,
+    schemaCache,
+    titleCache,
+    existingPage,
+    noteIndex,
+    dryRun,
+    trackingKey,
+  });
+
+  if (result.action === 'created' || result.action === 'would_create') {
+    summary.created += 1;
+  } else {
+    summary.updated += 1;
+  }
+
+  const url = result.url || '(new)';
+  const details = result.blockChanges ? describeBlockChanges(result.blockChanges) : '';
+  console.log(`${prefix} ${result.action} ${label} -> ${url}${details}`);
+
+  if (result.unresolvedLinks && result.unresolvedLinks.length && !trackingKey) {
+    summary.warnings.push({
+      filePath,
+      message: `${noteFname}: wikilinks to unsynced notes kept as text: ${result.unresolvedLinks.join(', ')}`,
+    });
+  }
+  if (result.unresolvedRelations && result.unresolvedRelations.length) {
+    summary.warnings.push({
+      filePath,
+      message: `${label}: relation references not linked: ${result.unresolvedRelations.join('; ')}`,
+    });
+  }
+}
+
+/**
+ * Sync one note file against the rules, recording the outcome in `summary`.
+ * Errors are recorded rather than thrown so one bad note does not stop the run.
+ * @param {Object} params
+ * @param {Client} params.client - Notion API client
+ * @param {string} params.filePath - Note file path
+ * @param {Array} params.rules - Sync rules to run
+ * @param {Array} [params.allRules] - Every loaded rule, used to pick the note's
+ *   destinations when `rules` is filtered (defaults to `rules`)
+ * @param {Map} params.schemaCache - Cache for getDatabaseSchema
+ * @param {Map} [params.titleCache] - Relation title lookups for this run
+ * @param {Map} params.noteIndex - Index from buildNoteIndex
+ * @param {Object} params.options - dryRun, direction, strategy and force from the CLI
+ * @param {Object} params.summary - From createSummary
+ */
+async function syncNoteFile({
+  client,
+  filePath,
+  rules,
+  allRules = rules,
+  schemaCache,
+  titleCache,
+  noteIndex,
+  options,
+  summary,
+}) {
+  let noteFname = null;
+  try {
+    const parsed = parseNoteFile(filePath);
+    const frontmatter = parsed.data || {};
+    noteFname = getNoteFname(frontmatter, filePath);
+    // Destinations are picked from every rule so filtering with --rule never
+    // changes which destination is the primary one; --rule only settles a tie
+    const noteRules = resolveNoteRules(allRules, noteFname, frontmatter, rules);
+    const selected = noteRules.filter((rule) => rules.includes(rule));
+
+    if (!selected.length) {
+      summary.skipped += 1;
+      return;
+    }
+
+    summary.matched += 1;
+    for (const rule of selected) {
+      await syncNoteDestination({
+        client,
+        filePath,
+        noteFname,
+        rule,
+        // Keyed by database: rule names can repeat, but each database gets one page
+        trackingKey: rule === noteRules[0] ? null : normalizeNotionId(rule.destination.databaseId),
+        schemaCache,
+        titleCache,
+        noteIndex,
+        options,
+        summary,
+      });
+    }
+  } catch (err) {
+    const message = err && err.body ? JSON.stringify(err.body, null, 2) : err.message || String(err);
+    summary.errors.push({ filePath, message });
+    console.error(`! Failed ${noteFname || filePath}: ${message}`);
+  }
+}
+
+function printSummary(summary, { prune }) {
+  if (summary.warnings.length) {
+    console.warn('\nWarnings:');
+    for (const warning of summary.warnings) {
+      console.warn(`  - ${warning.message}`);
+    }
+  }
+
+  if (summary.conflicts.length) {
+    console.error('\nConflicts:');
+    for (const conflict of summary.conflicts) {
+      console.error(`  - ${conflict.message}`);
+    }
+  }
+
+  if (summary.errors.length || summary.conflicts.length) {
+    const problems = [
+      summary.errors.length ? `${summary.errors.length} error(s)` : null,
+      summary.conflicts.length ? `${summary.conflicts.length} conflict(s)` : null,
+    ].filter(Boolean);
+    console.error(`\nSync completed with ${problems.join(' and ')}.`);
+    return;
+  }
+
+  const warningCount = summary.warnings.length ? `, Warnings: ${summary.warnings.length}` : '';
+  const prunedCount = prune ? `, Pruned: ${summary.pruned}` : '';
+  console.log(`\nSync complete. Created: ${summary.created}, Updated: ${summary.updated}, Pulled: ${summary.pulled}, Merged: ${summary.merged}, Unchanged: ${summary.unchanged}${prunedCount}, Skipped: ${summary.skipped}${warningCount}`);
+}
+
+function isWatchedNotePath(filePath, ignoreDirs = DEFAULT_IGNORE_DIRS) {
+  if (path.extname(filePath) !== '.md') return false;
+  return !path.dirname(filePath).split(path.sep).some((segment) => ignoreDirs.has(segment));
+}
+
+function isRuleFilePath(filePath) {
+  return ['.yaml', '.yml'].includes(path.extname(filePath));
+}
+
+/**
+ * Collect changed paths and hand them to `onFlush` once no new change arrived for
+ * `delay` ms. Flushes never overlap: changes made while one runs wait for the next.
+ * @param {Object} params
+ * @param {number} params.delay - Debounce delay in ms
+ * @param {Function} params.onFlush - Async callback receiving the changed paths
+ * @returns {{add: Function, flush: Function, close: Function}}
+ */
+function createChangeQueue({ delay, onFlush }) {
+  const pending = new Set();
+  let timer = null;
+  let running = null;
+  let closed = false;
+
+  const flush = async () => {
+    timer = null;
+    while (running) {
+      await running;
+    }
+    if (closed || !pending.size) return;
+    const paths = [...pending];
+    pending.clear();
+    running = Promise.resolve(onFlush(paths)).finally(() => {
+      running = null;
+    });
+    await running;
+  };
+
+  return {
+    add(filePath) {
+      if (closed) return;
+      pending.add(filePath);
+      if (timer) {
+        clearTimeout(timer);
+      }
+      timer = setTimeout(flush, delay);
+    },
+    flush,
+    close() {
+      closed = true;
+      if (timer) {
+        clearTimeout(timer);
+        timer = null;
+      }
+    },
+  };
+}
+
+function readFileIfExists(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+/**
+ * Track file contents so the watcher can tell edits from the writes sync itself
+ * makes (notion_url, last_synced, pulled content)
+ * @returns {{record: Function, hasChanged: Function}}
+ */
+function createContentTracker() {
+  const lastSeen = new Map();
+  return {
+    record(filePath) {
+      lastSeen.set(filePath, readFileIfExists(filePath));
+    },
+    hasChanged(filePath) {
+      const content = readFileIfExists(filePath);
+      if (content === null) {
+        lastSeen.delete(filePath);
+        return false;
+      }
+      return lastSeen.get(filePath) !== content;
+    },
+  };
+}
+
+/**
+ * Keep notes in sync as they change: re-sync edited notes under the watched roots
+ * and reload the sync rules when a rule file changes
+ * @param {Object} params
+ * @param {Client} params.client - Notion API client
+ * @param {Array<string>} params.roots - Files or directories to watch
+ * @param {Iterable<string>} params.noteFiles - Notes already synced, to seed the tracker
+ * @param {string} params.rulesDir - Sync rules directory
+ * @param {string} [params.ruleFilter] - Only use this rule
+ * @param {Array} params.rules - Rules loaded for the initial sync
+ * @param {Array} params.allRules - Every rule loaded for the initial sync
+ * @param {Map} params.noteIndex - Index from buildNoteIndex, kept up to date
+ * @param {Object} params.options - dryRun, direction, strategy and force from the CLI
+ * @param {number} params.debounce - Debounce delay in ms
+ * @returns {Function} Stops watching
+ */
+function watchNotes({ client, roots, noteFiles, rulesDir, ruleFilter, rules, allRules, noteIndex, options, debounce }) {
+  let currentRules = rules;
+  let currentAllRules = allRules;
+  let schemaCache = new Map();
+  const tracker = createContentTracker();
+  for (const filePath of noteFiles) {
+    tracker.record(filePath);
+  }
+
+  const reloadRules = () => {
+    try {
+      const loaded = loadSyncRules(rulesDir);
+      currentRules = selectRules(loaded, ruleFilter);
+      currentAllRules = loaded;
+      schemaCache = new Map();
+      console.log(`Reloaded ${currentRules.length} sync rule(s) from ${rulesDir}`);
+    } catch (err) {
+      console.error(`! Failed to reload sync rules, keeping the previous ones: ${err.message || String(err)}`);
+    }
+  };
+
+  const queue = createChangeQueue({
+    delay: debounce,
+    onFlush: async (paths) => {
+      if (paths.some(isRuleFilePath)) {
+        reloadRules();
+      }
+
+      const changed = paths.filter((filePath) => !isRuleFilePath(filePath) && tracker.hasChanged(filePath));
+      if (!changed.length) return;
+
+      for (const [fname, entry] of buildNoteIndex(changed)) {
+        noteIndex.set(fname, entry);
+      }
+
+      const summary = createSummary();
+      summary.total = changed.length;
+      // Page titles can change between flushes, so title lookups only last one flush
+      const titleCache = new Map();
+      for (const filePath of changed) {
+        await syncNoteFile({
+          client,
+          filePath,
+          rules: currentRules,
+          allRules: currentAllRules,
+          schemaCache,
+          titleCache,
+          noteIndex,
+          options,
+          summary,
+        });
+        tracker.record(filePath);
+      }
+      printSummary(summary, { prune: false });
+    },
+  });
+
+  const watchers = [];
+  for (const root of roots) {
+    const isDirectory = fs.statSync(root).isDirectory();
+    const watcher = fs.watch(root, { recursive: isDirectory }, (eventType, filename) => {
+      const filePath = isDirectory ? path.join(root, filename || '') : root;
+      if (filename && isWatchedNotePath(isDirectory ? filename : path.basename(root))) {
+        queue.add(filePath);
+      }
+    });
+    watchers.push(watcher);
+  }
+
+  if (fs.existsSync(rulesDir)) {
+    watchers.push(
+      fs.watch(rulesDir, (eventType, filename) => {
+        if (filename && isRuleFilePath(filename)) {
+          queue.add(path.join(rulesDir, filename));
+        }
+      })
+    );
+  }
+
+  console.log(`\nWatching ${roots.join(', ')} for changes (Ctrl+C to stop)...`);
+
+  return () => {
+    queue.close();
+    for (const watcher of watchers) {
+      watcher.close();
+    }
+  };
 }
 
 module.exports = {
@@ -428,6 +2041,8 @@ module.exports = {
 
   builder: (yargs) => {
     return yargs
+      .command(require('./sync-validate'))
+      .command(require('./sync-provision'))
       .positional('target', {
         type: 'string',
         describe: 'File or directory to sync when provided positionally',
@@ -450,23 +2065,58 @@ module.exports = {
         type: 'string',
         describe: 'Directory containing sync rule YAML files',
       })
+      .option('direction', {
+        type: 'string',
+        choices: SYNC_DIRECTIONS,
+        default: 'both',
+        describe: 'push local notes, pull Notion edits, or both (pull when the page changed since last_synced)',
+      })
+      .option('strategy', {
+        type: 'string',
+        choices: CONFLICT_STRATEGIES,
+        describe: 'How to resolve notes changed both locally and in Notion since last_synced (default: refuse)',
+      })
+      .option('prune', {
+        type: 'boolean',
+        describe: "Archive pages whose dendron_id no longer matches a local note of the rule's database",
+        default: false,
+      })
+      .option('confirm', {
+        type: 'boolean',
+        describe: 'With --prune, archive the reported pages; without it prune only prints its report',
+        default: false,
+      })
+      .option('force', {
+        type: 'boolean',
+        describe: 'Push synced notes even if they are unchanged since the last sync',
+        default: false,
+      })
       .example('$0 sync')
       .example('$0 sync ./notes/task.2025.12.28.finalize-trip.md')
       .example('$0 sync --rule task')
       .example('$0 sync --rules-dir ./syncRules')
-      .example('$0 sync --path ../notes-archive');
+      .example('$0 sync --path ../notes-archive')
+      .example('$0 sync --direction pull')
+      .example('$0 sync --strategy merge')
+      .option('watch', {
+        type: 'boolean',
+        describe: 'Keep running and re-sync notes as they change (reloads rules when rule files change)',
+        default: false,
+      })
+      .option('debounce', {
+        type: 'number',
+        describe: 'With --watch, wait this many ms after the last change before syncing',
+        default: 500,
+      })
+      .example('$0 sync --force')
+      .example('$0 sync --prune')
+      .example('$0 sync --prune --confirm')
+      .example('$0 sync --watch')
+      .example('$0 sync validate')
+      .example('$0 sync provision');
   },
 
   handler: async (argv) => {
-    const summary = {
-      total: 0,
-      matched: 0,
-      created: 0,
-      updated: 0,
-      skipped: 0,
-      errors: [],
-    };
-
     try {
       const {
         rule: ruleFilter,
@@ -474,6 +2124,13 @@ module.exports = {
         target,
         dryRun,
         rulesDir: rulesDirInput,
+        direction = 'both',
+        strategy,
+        force,
+        prune,
+        confirm,
+        watch,
+        debounce,
       } = argv;
 
       const token = process.env.NOTION_TOKEN || process.env.NOTION_API_KEY;
@@ -483,20 +2140,17 @@ module.exports = {
 
       const rulesDir = resolveRulesDir(rulesDirInput);
       const allRules = loadSyncRules(rulesDir);
-
-      const rules = ruleFilter
-        ? allRules.filter((r) => r.ruleName === ruleFilter || r.name === ruleFilter)
-        : allRules;
-
-      if (!rules.length) {
-        throw new Error(`No matching sync rules found${ruleFilter ? ` for "${ruleFilter}"` : ''}.`);
-      }
+      const rules = selectRules(allRules, ruleFilter);
 
       let roots = [];
       if (target) {
         if (extraPaths && extraPaths.length) {
           throw new Error('Do not combine a positional target with --path. Provide a single target only.');
         }
+        // Pruning compares against every local note, which a single target does not provide
+        if (prune) {
+          throw new Error('Do not combine a positional target with --prune. Run --prune over the note roots (and --path) instead.');
+        }
         const resolvedTarget = path.resolve(process.cwd(), target);
         if (!fs.existsSync(resolvedTarget)) {
           throw new Error(`Path does not exist: ${target}`);
@@ -513,79 +2167,81 @@ module.exports = {
         }
       }
 
+      const summary = createSummary();
       summary.total = noteFiles.size;
 
-      if (!summary.total) {
+      // Index every note under the note roots (not just the sync target) so wikilinks resolve
+      const indexFiles = new Set(noteFiles);
+      if (target) {
+        for (const root of resolveNoteRoots([])) {
+          for (const filePath of collectMarkdownFiles(root, DEFAULT_IGNORE_DIRS)) {
+            indexFiles.add(filePath);
+          }
+        }
+      }
+      const invalidNotes = [];
+      const noteIndex = buildNoteIndex(indexFiles, invalidNotes);
+
+      if (!summary.total && !watch) {
         console.log('No markdown notes found to sync.');
         process.exit(0);
       }
 
       const client = new Client({ auth: token });
       const schemaCache = new Map();
+      const titleCache = new Map();
+      const options = { dryRun, direction, strategy, force };
 
       for (const filePath of noteFiles) {
-        let noteFname = null;
-        try {
-          const parsed = parseNoteFile(filePath);
-          const frontmatter = parsed.data || {};
-          noteFname = getNoteFname(frontmatter, filePath);
-          const matchingRules = findMatchingRules(rules, noteFname);
-
-          if (!matchingRules.length) {
-            summary.skipped += 1;
-            continue;
-          }
-
-          if (matchingRules.length > 1) {
-            throw new Error(`Note matches multiple rules: ${matchingRules.map((r) => r.ruleName).join(', ')}`);
-          }
-
-          summary.matched += 1;
-          const rule = matchingRules[0];
-          const schema = await getDatabaseSchema(client, schemaCache, rule.destination.databaseId);
-
-          let existingPage = null;
-          if (frontmatter.notion_url) {
-            const rawId = extractNotionIdFromUrl(frontmatter.notion_url);
-            if (!rawId) {
-              throw new Error('Unable to extract page ID from notion_url.');
-            }
-            const pageId = normalizeNotionId(rawId);
-            existingPage = await client.pages.retrieve({ page_id: pageId });
-          }
+        await syncNoteFile({ client, filePath, rules, allRules, schemaCache, titleCache, noteIndex, options, summary });
+      }
 
-          const result = await syncNote({
+      if (prune) {
+        if (summary.errors.length || invalidNotes.length) {
+          const reasons = [
+            ...summary.errors.map((error) => error.filePath),
+            ...invalidNotes,
+          ];
+          summary.warnings.push({
+            filePath: null,
+            message: `Skipped pruning because some notes could not be read or synced: ${[...new Set(reasons)].join(', ')}`,
+          });
+        } else {
+          summary.pruned = await prunePages({
             client,
-            filePath,
-            rule,
-            schema,
-            existingPage,
-            dryRun,
+            rules,
+            allRules,
+            noteIndex,
+            archive: confirm && !dryRun,
+            summary,
           });
-
-          if (result.action === 'created' || result.action === 'would_create') {
-            summary.created += 1;
-          } else {
-            summary.updated += 1;
-          }
-
-          const prefix = dryRun ? 'DRY RUN:' : '✓';
-          const url = result.url || '(new)';
-          console.log(`${prefix} ${result.action} ${noteFname} -> ${url}`);
-        } catch (err) {
-          const message = err && err.body ? JSON.stringify(err.body, null, 2) : err.message || String(err);
-          summary.errors.push({ filePath, message });
-          console.error(`! Failed ${noteFname || filePath}: ${message}`);
         }
       }
 
-      if (summary.errors.length) {
-        console.error(`\nSync completed with ${summary.errors.length} error(s).`);
-        process.exit(1);
+      printSummary(summary, { prune });
+
+      if (watch) {
+        const stop = watchNotes({
+          client,
+          roots,
+          noteFiles,
+          rulesDir,
+          ruleFilter,
+          rules,
+          allRules,
+          noteIndex,
+          options,
+          debounce,
+        });
+        process.on('SIGINT', () => {
+          stop();
+          console.log('\nStopped watching.');
+          process.exit(0);
+        });
+        return;
       }
 
-      console.log(`\nSync complete. Created: ${summary.created}, Updated: ${summary.updated}, Skipped: ${summary.skipped}`);
-      process.exit(0);
+      process.exit(summary.errors.length || summary.conflicts.length ? 1 : 0);
     } catch (err) {
       if (err && err.body) {
         console.error('Notion API Error:', JSON.stringify(err.body, null, 2));
@@ -595,10 +2251,41 @@ module.exports = {
       process.exit(1);
     }
   },
-
+  DEFAULT_IGNORE_DIRS,
+  resolveRulesDir,
   loadSyncRules,
+  selectRules,
   resolveNoteRoots,
   getDatabaseSchema,
+  findPagesByDendronId,
+  resolveExistingPage,
   buildProperties,
+  buildNoteIndex,
+  createWikilinkResolver,
+  collectLocalIdsByDatabase,
+  findPrunablePages,
+  prunePages,
+  isRemoteNewer,
+  isLocalNewer,
+  noteContentHash,
+  planSync,
+  applyRemoteProperties,
+  createPageMentionResolver,
+  pullNote,
+  mergeNote,
+  getPreserveMatchers,
+  isPreservedBlock,
+  placePreservedBlocks,
+  updatePageBody,
   syncNote,
+  resolveRelationProperties,
+  listRuleFiles,
+  readRuleFile,
+  normalizeRule,
+  resolveNoteRules,
+  syncStateView,
+  syncNoteFile,
+  createChangeQueue,
+  createContentTracker,
+  isWatchedNotePath,
 };
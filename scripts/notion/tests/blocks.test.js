@@ -0,0 +1,223 @@
+const { appendBlocksInChunks, splitInitialChildren, fitsInline, diffBlocks, blockUpdatePayload } = require('../utils/blocks');
+
+const paragraph = (content, children) => {
+  const block = {
+    object: 'block',
+    type: 'paragraph',
+    paragraph: { rich_text: [{ type: 'text', text: { content } }] },
+  };
+  if (children) {
+    block.paragraph.children = children;
+  }
+  return block;
+};
+
+const bullet = (content, children) => ({
+  object: 'block',
+  type: 'bulleted_list_item',
+  bulleted_list_item: {
+    rich_text: [{ type: 'text', text: { content } }],
+    ...(children ? { children } : {}),
+  },
+});
+
+function createFakeClient() {
+  const calls = [];
+  let nextId = 0;
+  return {
+    calls,
+    blocks: {
+      children: {
+        append: async ({ block_id: blockId, children, after }) => {
+          calls.push({ blockId, children, ...(after ? { after } : {}) });
+          return { results: children.map(() => ({ id: `block-${(nextId += 1)}` })) };
+        },
+      },
+    },
+  };
+}
+
+describe('appendBlocksInChunks', () => {
+  test('inserts every chunk after the previous one when given an anchor', async () => {
+    const client = createFakeClient();
+    const blocks = Array.from({ length: 150 }, (_, i) => paragraph(`p${i}`));
+
+    await appendBlocksInChunks(client, 'page', blocks, { after: 'anchor' });
+
+    expect(client.calls.map((call) => [call.children.length, call.after])).toEqual([
+      [100, 'anchor'],
+      [50, 'block-100'],
+    ]);
+  });
+
+  test('does nothing for empty input', async () => {
+    const client = createFakeClient();
+    await appendBlocksInChunks(client, 'page', []);
+    expect(client.calls).toHaveLength(0);
+  });
+
+  test('chunks top-level blocks by 100', async () => {
+    const client = createFakeClient();
+    const blocks = Array.from({ length: 250 }, (_, i) => paragraph(`line ${i}`));
+
+    const created = await appendBlocksInChunks(client, 'page', blocks);
+
+    expect(client.calls.map((call) => call.children.length)).toEqual([100, 100, 50]);
+    expect(client.calls.every((call) => call.blockId === 'page')).toBe(true);
+    expect(created).toHaveLength(250);
+  });
+
+  test('sends two levels of nesting inline', async () => {
+    const client = createFakeClient();
+    const blocks = [bullet('a', [bullet('b', [bullet('c')])])];
+
+    expect(fitsInline(blocks[0])).toBe(true);
+    await appendBlocksInChunks(client, 'page', blocks);
+
+    expect(client.calls).toHaveLength(1);
+    expect(client.calls[0].children).toEqual(blocks);
+  });
+
+  test('defers children nested deeper than a request allows', async () => {
+    const client = createFakeClient();
+    const deepest = bullet('d');
+    const blocks = [bullet('a', [bullet('b', [bullet('c', [deepest])])])];
+
+    expect(fitsInline(blocks[0])).toBe(false);
+    await appendBlocksInChunks(client, 'page', blocks);
+
+    expect(client.calls).toHaveLength(2);
+    expect(client.calls[0].children[0].bulleted_list_item.children).toBeUndefined();
+    expect(client.calls[1].blockId).toBe('block-1');
+    expect(client.calls[1].children[0].bulleted_list_item.children[0].bulleted_list_item.children).toEqual([deepest]);
+  });
+
+  test('creates tables with their first 100 rows and appends the rest', async () => {
+    const client = createFakeClient();
+    const rows = Array.from({ length: 130 }, (_, i) => ({
+      object: 'block',
+      type: 'table_row',
+      table_row: { cells: [[{ type: 'text', text: { content: `row ${i}` } }]] },
+    }));
+    const table = {
+      object: 'block',
+      type: 'table',
+      table: { table_width: 1, has_column_header: false, has_row_header: false, children: rows },
+    };
+
+    await appendBlocksInChunks(client, 'page', [table]);
+
+    expect(client.calls[0].children[0].table.children).toHaveLength(100);
+    expect(client.calls[1]).toEqual({ blockId: 'block-1', children: rows.slice(100) });
+  });
+
+  test('defers children when a block has more than 100 of them', async () => {
+    const client = createFakeClient();
+    const children = Array.from({ length: 120 }, (_, i) => bullet(`child ${i}`));
+    await appendBlocksInChunks(client, 'page', [bullet('parent', children)]);
+
+    expect(client.calls.map((call) => [call.blockId, call.children.length])).toEqual([
+      ['page', 1],
+      ['block-1', 100],
+      ['block-1', 20],
+    ]);
+  });
+});
+
+// Blocks as the API returns them, with ids and every annotation flag
+const existingBlock = (id, type, content, extra = {}) => ({
+  object: 'block',
+  id,
+  type,
+  has_children: false,
+  [type]: {
+    rich_text: [
+      {
+        type: 'text',
+        text: { content, link: null },
+        annotations: { bold: false, italic: false, strikethrough: false, underline: false, code: false, color: 'default' },
+        plain_text: content,
+        href: null,
+      },
+    ],
+    color: 'default',
+    ...extra,
+  },
+});
+
+const summarize = (ops) =>
+  ops.map(({ op, existing, block }) => [op, existing ? existing.id : null, block ? block[block.type].rich_text[0].text.content : null]);
+
+describe('diffBlocks', () => {
+  test('keeps blocks whose content matches the API representation', () => {
+    const existing = [existingBlock('a', 'paragraph', 'one'), existingBlock('b', 'bulleted_list_item', 'two')];
+    const ops = diffBlocks(existing, [paragraph('one'), bullet('two')]);
+    expect(summarize(ops)).toEqual([
+      ['keep', 'a', 'one'],
+      ['keep', 'b', 'two'],
+    ]);
+  });
+
+  test('updates, inserts and archives only what changed', () => {
+    const existing = [
+      existingBlock('a', 'paragraph', 'intro'),
+      existingBlock('b', 'paragraph', 'old text'),
+      existingBlock('c', 'heading_1', 'Removed'),
+      existingBlock('d', 'paragraph', 'outro'),
+    ];
+    const ops = diffBlocks(existing, [paragraph('intro'), paragraph('new text'), bullet('added'), paragraph('outro')]);
+    expect(summarize(ops)).toEqual([
+      ['keep', 'a', 'intro'],
+      ['update', 'b', 'new text'],
+      ['archive', 'c', null],
+      ['insert', null, 'added'],
+      ['keep', 'd', 'outro'],
+    ]);
+  });
+
+  test('never inserts before the first kept block', () => {
+    const existing = [existingBlock('a', 'paragraph', 'first'), existingBlock('b', 'paragraph', 'second')];
+    const ops = diffBlocks(existing, [paragraph('new'), paragraph('first'), paragraph('second')]);
+    expect(summarize(ops)).toEqual([
+      ['update', 'a', 'new'],
+      ['insert', null, 'first'],
+      ['keep', 'b', 'second'],
+    ]);
+
+    const headings = [existingBlock('h', 'heading_1', 'Title')];
+    expect(summarize(diffBlocks(headings, [bullet('new'), paragraph('Title')]))).toEqual([
+      ['archive', 'h', null],
+      ['insert', null, 'new'],
+      ['insert', null, 'Title'],
+    ]);
+  });
+
+  test('builds update payloads without children', () => {
+    expect(blockUpdatePayload(bullet('parent', [bullet('child')]))).toEqual({
+      bulleted_list_item: { rich_text: [{ type: 'text', text: { content: 'parent' } }] },
+    });
+  });
+});
+
+describe('splitInitialChildren', () => {
+  test('sends the first request-sized chunk and leaves the rest', () => {
+    const blocks = Array.from({ length: 150 }, (_, i) => paragraph(`p${i}`));
+    const { initial, remaining } = splitInitialChildren(blocks);
+
+    expect(initial).toEqual(blocks.slice(0, 100));
+    expect(remaining).toEqual(blocks.slice(100));
+  });
+
+  test('stops before a block whose children must be appended later', () => {
+    const deep = bullet('parent', Array.from({ length: 120 }, (_, i) => bullet(`child ${i}`)));
+    const blocks = [paragraph('intro'), deep, paragraph('outro')];
+    const { initial, remaining } = splitInitialChildren(blocks);
+
+    expect(initial).toEqual([paragraph('intro')]);
+    expect(remaining).toEqual([deep, paragraph('outro')]);
+  });
+
+  test('returns nothing for an empty body', () => {
+    expect(splitInitialChildren([])).toEqual({ initial: [], remaining: [] });
+  });
+});
@@ -3,9 +3,13 @@ const {
   simplifyProperties,
   blockToMarkdown,
   blocksToBody,
+  richTextToMarkdown,
+  fetchBlockTree,
+  collectMentions,
   combineFilters,
   getFilterDepth,
 } = require('../commands/fetch');
+const { markdownToBlocks } = require('../utils');
 
 describe('fetch helpers', () => {
   describe('simplifyPropertyValue', () => {
@@ -144,6 +148,422 @@ describe('fetch helpers', () => {
     });
   });
 
+  describe('mentions', () => {
+    const pageMention = {
+      type: 'mention',
+      plain_text: 'Finalize trip',
+      href: 'https://www.notion.so/0123456789abcdef0123456789abcdef',
+      mention: { type: 'page', page: { id: '01234567-89ab-cdef-0123-456789abcdef' } },
+    };
+    const userMention = {
+      type: 'mention',
+      plain_text: '@Kevin',
+      mention: { type: 'user', user: { id: 'user-1', name: 'Kevin' } },
+    };
+    const dateMention = {
+      type: 'mention',
+      plain_text: 'February 1, 2026',
+      mention: { type: 'date', date: { start: '2026-02-01', end: '2026-02-03' } },
+    };
+    const databaseMention = {
+      type: 'mention',
+      plain_text: 'Tasks',
+      mention: { type: 'database', database: { id: 'fedcba98-7654-3210-fedc-ba9876543210' } },
+    };
+
+    test('renders mentions as links, @names and ISO dates', () => {
+      const richText = [
+        pageMention,
+        { type: 'text', plain_text: ' by ' },
+        userMention,
+        { type: 'text', plain_text: ' on ' },
+        dateMention,
+        { type: 'text', plain_text: ' in ' },
+        databaseMention,
+      ];
+
+      expect(richTextToMarkdown(richText)).toBe(
+        '[Finalize trip](https://www.notion.so/0123456789abcdef0123456789abcdef) by @Kevin ' +
+          'on 2026-02-01/2026-02-03 in [Tasks](https://www.notion.so/fedcba9876543210fedcba9876543210)'
+      );
+    });
+
+    test('collects structured mention metadata from properties and nested blocks', () => {
+      const properties = {
+        Notes: { type: 'rich_text', rich_text: [userMention] },
+      };
+      const blocks = [
+        {
+          type: 'paragraph',
+          paragraph: { rich_text: [pageMention] },
+          children: [{ type: 'paragraph', paragraph: { rich_text: [dateMention, pageMention] } }],
+        },
+      ];
+
+      expect(collectMentions(properties, blocks)).toEqual([
+        { type: 'user', text: '@Kevin', id: 'user-1', name: 'Kevin' },
+        {
+          type: 'page',
+          text: 'Finalize trip',
+          id: '01234567-89ab-cdef-0123-456789abcdef',
+          url: 'https://www.notion.so/0123456789abcdef0123456789abcdef',
+        },
+        { type: 'date', text: 'February 1, 2026', start: '2026-02-01', end: '2026-02-03', time_zone: null },
+      ]);
+    });
+  });
+
+  describe('nested blocks', () => {
+    const textBlock = (type, content, extra = {}) => ({
+      type,
+      [type]: { rich_text: [{ plain_text: content }] },
+      ...extra,
+    });
+
+    test('fetches children recursively up to the depth limit', async () => {
+      const tree = {
+        page: [textBlock('bulleted_list_item', 'a', { id: 'a', has_children: true })],
+        a: [textBlock('bulleted_list_item', 'b', { id: 'b', has_children: true })],
+        b: [textBlock('bulleted_list_item', 'c', { id: 'c', has_children: false })],
+      };
+      const requested = [];
+      const client = {
+        blocks: {
+          children: {
+            list: async ({ block_id: blockId }) => {
+              requested.push(blockId);
+              const results = tree[blockId].map((block) => ({ ...block }));
+              return { results, has_more: false, next_cursor: null };
+            },
+          },
+        },
+      };
+
+      const full = await fetchBlockTree({ client, blockId: 'page' });
+      expect(requested).toEqual(['page', 'a', 'b']);
+      expect(full[0].children[0].children[0].id).toBe('c');
+
+      requested.length = 0;
+      const shallow = await fetchBlockTree({ client, blockId: 'page', maxDepth: 2 });
+      expect(requested).toEqual(['page', 'a']);
+      expect(shallow[0].children[0].children).toBeUndefined();
+    });
+
+    test('renders nested lists and toggles with indentation', () => {
+      const blocks = [
+        textBlock('bulleted_list_item', 'parent', {
+          children: [
+            textBlock('bulleted_list_item', 'child', {
+              children: [textBlock('to_do', 'task')],
+            }),
+          ],
+        }),
+        textBlock('numbered_list_item', 'step', {
+          children: [textBlock('paragraph', 'detail')],
+        }),
+        textBlock('toggle', 'Summary', {
+          children: [textBlock('paragraph', 'Hidden body'), textBlock('bulleted_list_item', 'item')],
+        }),
+      ];
+
+      expect(blocksToBody(blocks)).toBe([
+        '- parent',
+        '  - child',
+        '    - [ ] task',
+        '1. step',
+        '   detail',
+        '▸ Summary',
+        '  Hidden body',
+        '  - item',
+      ].join('\n'));
+    });
+
+    test('separates blocks with blank lines for markdown documents', () => {
+      const blocks = [
+        textBlock('heading_1', 'Title'),
+        textBlock('paragraph', 'First'),
+        textBlock('paragraph', 'Second'),
+        textBlock('bulleted_list_item', 'a', { children: [textBlock('bulleted_list_item', 'a.1')] }),
+        textBlock('bulleted_list_item', 'b', { children: [textBlock('paragraph', 'detail')] }),
+        textBlock('to_do', 'task'),
+      ];
+
+      expect(blocksToBody(blocks, { blankLines: true })).toBe([
+        '# Title',
+        '',
+        'First',
+        '',
+        'Second',
+        '',
+        '- a',
+        '  - a.1',
+        '- b',
+        '',
+        '  detail',
+        '',
+        '- [ ] task',
+      ].join('\n'));
+    });
+  });
+
+  describe('callout rendering', () => {
+    const callout = (emoji, color, content) => ({
+      type: 'callout',
+      callout: {
+        rich_text: [{ plain_text: content }],
+        icon: emoji ? { type: 'emoji', emoji } : null,
+        color,
+      },
+    });
+
+    test('renders matching callouts as admonitions', () => {
+      expect(blockToMarkdown(callout('ℹ️', 'blue_background', 'Line 1\nLine 2'))).toBe(
+        '> [!NOTE]\n> Line 1\n> Line 2'
+      );
+    });
+
+    test('renders other emoji callouts as emoji quotes', () => {
+      expect(blockToMarkdown(callout('🚀', 'gray_background', 'Launch'))).toBe('> 🚀 Launch');
+      expect(blockToMarkdown(callout('ℹ️', 'gray_background', 'Info'))).toBe('> ℹ️ Info');
+    });
+
+    test('renders callouts without an emoji icon as quotes', () => {
+      expect(blockToMarkdown(callout(null, 'default', 'Plain'))).toBe('> Plain');
+    });
+
+    test('round-trips admonitions through markdown conversion', () => {
+      const { markdownToBlocks } = require('../utils/markdown');
+      const source = '> [!TIP]\n> Use **bold** sparingly';
+      const [block] = markdownToBlocks(source);
+      const fetched = {
+        type: 'callout',
+        callout: {
+          ...block.callout,
+          rich_text: block.callout.rich_text.map((run) => ({ ...run, plain_text: run.text.content })),
+        },
+      };
+
+      expect(blockToMarkdown(fetched)).toBe(source);
+    });
+  });
+
+  describe('layout and embedded blocks', () => {
+    const paragraph = (content) => ({ type: 'paragraph', paragraph: { rich_text: [{ plain_text: content }] } });
+
+    test('renders columns and synced blocks in sequence', () => {
+      const blocks = [
+        {
+          type: 'column_list',
+          column_list: {},
+          children: [
+            { type: 'column', column: {}, children: [paragraph('Left')] },
+            { type: 'column', column: {}, children: [paragraph('Right')] },
+          ],
+        },
+        { type: 'synced_block', synced_block: { synced_from: { block_id: 'x' } }, children: [paragraph('Shared')] },
+        { type: 'synced_block', synced_block: { synced_from: { block_id: 'y' } }, unavailable: true },
+      ];
+
+      expect(blocksToBody(blocks)).toBe('Left\nRight\nShared\n[synced block unavailable]');
+    });
+
+    test('renders embeds, media and navigation blocks', () => {
+      const result = [
+        { type: 'embed', embed: { url: 'https://example.com/map', caption: [] } },
+        { type: 'embed', embed: { url: 'https://example.com/map', caption: [{ plain_text: 'Map' }] } },
+        { type: 'link_preview', link_preview: { url: 'https://github.com/x/y' } },
+        { type: 'pdf', pdf: { type: 'external', external: { url: 'https://example.com/a.pdf' } } },
+        { type: 'audio', audio: { type: 'file', file: { url: 'https://files.example.com/a.mp3' } } },
+        { type: 'table_of_contents', table_of_contents: { color: 'default' } },
+        { type: 'breadcrumb', breadcrumb: {} },
+      ].map(blockToMarkdown);
+
+      expect(result).toEqual([
+        '[https://example.com/map](https://example.com/map)',
+        '[Map](https://example.com/map)',
+        '[https://github.com/x/y](https://github.com/x/y)',
+        '[pdf] https://example.com/a.pdf',
+        '[audio] https://files.example.com/a.mp3',
+        '[table of contents]',
+        '[breadcrumb]',
+      ]);
+    });
+
+    test('renders child databases as links with optional inline rows', () => {
+      const database = {
+        id: '0123456789abcdef0123456789abcdef',
+        type: 'child_database',
+        child_database: { title: 'Reading list' },
+      };
+
+      expect(blockToMarkdown(database)).toBe('[Reading list](https://www.notion.so/0123456789abcdef0123456789abcdef)');
+      expect(blockToMarkdown({ ...database, databaseRows: [{ title: 'Book', url: 'https://www.notion.so/book' }] })).toBe(
+        '[Reading list](https://www.notion.so/0123456789abcdef0123456789abcdef)\n- [Book](https://www.notion.so/book)'
+      );
+    });
+
+    test('resolves synced block duplicates to their original content', async () => {
+      const requested = [];
+      const tree = {
+        page: [
+          { id: 'dup', type: 'synced_block', has_children: false, synced_block: { synced_from: { block_id: 'orig' } } },
+          { id: 'db', type: 'child_database', has_children: false, child_database: { title: 'Tasks' } },
+        ],
+        orig: [{ id: 'p', type: 'paragraph', has_children: false, paragraph: { rich_text: [{ plain_text: 'Shared' }] } }],
+      };
+      const client = {
+        blocks: {
+          children: {
+            list: async ({ block_id: blockId }) => {
+              requested.push(blockId);
+              return { results: tree[blockId], has_more: false, next_cursor: null };
+            },
+          },
+        },
+        databases: {
+          query: async () => ({
+            results: [{ id: 'row', url: 'https://www.notion.so/row', properties: { Name: { type: 'title', title: [{ plain_text: 'Row' }] } } }],
+            has_more: false,
+            next_cursor: null,
+          }),
+        },
+      };
+
+      const blocks = await fetchBlockTree({ client, blockId: 'page', inlineDatabases: true });
+
+      expect(requested).toEqual(['page', 'orig']);
+      expect(blocksToBody(blocks)).toBe('Shared\n[Tasks](https://www.notion.so/db)\n- [Row](https://www.notion.so/row)');
+    });
+  });
+
+  describe('table rendering', () => {
+    const row = (...cells) => ({
+      type: 'table_row',
+      table_row: { cells: cells.map((cell) => [{ plain_text: cell }]) },
+    });
+
+    test('renders tables with a header row', () => {
+      const table = {
+        type: 'table',
+        table: { table_width: 2, has_column_header: true, has_row_header: false },
+        children: [row('Name', 'Notes'), row('a|b', 'two\nlines')],
+      };
+
+      expect(blockToMarkdown(table)).toBe([
+        '| Name | Notes |',
+        '| --- | --- |',
+        '| a\\|b | two<br>lines |',
+      ].join('\n'));
+    });
+
+    test('renders headerless tables without a delimiter row', () => {
+      const table = {
+        type: 'table',
+        table: { table_width: 2, has_column_header: false, has_row_header: false },
+        children: [row('a', 'b'), row('c', 'd')],
+      };
+
+      expect(blocksToBody([table])).toBe('| a | b |\n| c | d |');
+    });
+  });
+
+  describe('rich text rendering', () => {
+    test('renders annotations and links as markdown', () => {
+      const richText = [
+        { plain_text: 'plain ' },
+        { plain_text: 'bold ', annotations: { bold: true } },
+        { plain_text: 'italic', annotations: { italic: true } },
+        { plain_text: ' ' },
+        { plain_text: 'gone', annotations: { strikethrough: true } },
+        { plain_text: ' ' },
+        { plain_text: 'npm test', annotations: { code: true } },
+        { plain_text: ' ' },
+        { plain_text: 'site', href: 'https://example.com', annotations: { bold: true } },
+      ];
+
+      expect(richTextToMarkdown(richText)).toBe(
+        'plain **bold** *italic* ~~gone~~ `npm test` [**site**](https://example.com)'
+      );
+    });
+
+    test('escapes literal markdown so it converts back to the same text', () => {
+      const paragraph = (...richText) => ({ type: 'paragraph', paragraph: { rich_text: richText } });
+      const blocks = [
+        paragraph({ plain_text: 'price *special*' }),
+        paragraph({ plain_text: 'costs $5 and $x$' }),
+        paragraph({ plain_text: '# not a heading' }),
+        paragraph({ plain_text: '- not a list\n1. not numbered' }),
+        paragraph({ plain_text: 'foo' }, { plain_text: 'bar', annotations: { italic: true } }, { plain_text: 'baz' }),
+      ];
+
+      const body = blocksToBody(blocks, { blankLines: true });
+      expect(body).toBe(
+        'price \\*special*\n\ncosts \\$5 and \\$x$\n\n\\# not a heading\n\n\\- not a list\n1\\. not numbered\n\nfoo*bar*baz'
+      );
+      const roundTrip = markdownToBlocks(body).map((block) =>
+        block.paragraph.rich_text.map((item) => [item.text.content, Boolean(item.annotations && item.annotations.italic)])
+      );
+      expect(roundTrip).toEqual([
+        [['price *special*', false]],
+        [['costs $5 and $x$', false]],
+        [['# not a heading', false]],
+        [['- not a list\n1. not numbered', false]],
+        [
+          ['foo', false],
+          ['bar', true],
+          ['baz', false],
+        ],
+      ]);
+    });
+
+    test('indents soft line breaks so list items, toggles and headings convert back whole', () => {
+      const item = (type, content, extra = {}) => ({ type, [type]: { rich_text: [{ plain_text: content }], ...extra } });
+      const blocks = [
+        item('heading_2', 'Plan\nfor today'),
+        { ...item('bulleted_list_item', 'a\ncontinued'), children: [item('paragraph', 'detail')] },
+        item('bulleted_list_item', 'b\n- not a list'),
+        item('numbered_list_item', 'one\ntwo'),
+        item('to_do', 'task\nnotes', { checked: true }),
+        item('toggle', 'toggle\ninside'),
+      ];
+
+      const body = blocksToBody(blocks, { blankLines: true });
+      expect(body).toBe(
+        '## Plan\n  for today\n\n- a\n  continued\n\n  detail\n- b\n  \\- not a list\n\n1. one\n   two\n\n- [x] task\n  notes\n\n▸ toggle\n  inside'
+      );
+      const summarize = (list) =>
+        list.map((block) => [
+          block.type,
+          block[block.type].rich_text.map((run) => run.text?.content ?? run.plain_text).join(''),
+          (block[block.type].children || block.children || []).length,
+        ]);
+      expect(summarize(markdownToBlocks(body))).toEqual(summarize(blocks));
+    });
+
+    test('renders inline and block equations', () => {
+      const richText = [
+        { type: 'text', plain_text: 'Area is ' },
+        { type: 'equation', plain_text: '\\pi r^2', equation: { expression: '\\pi r^2' } },
+      ];
+      const block = { type: 'equation', equation: { expression: 'a^2 + b^2 = c^2' } };
+
+      expect(richTextToMarkdown(richText)).toBe('Area is $\\pi r^2$');
+      expect(blockToMarkdown(block)).toBe('$$\na^2 + b^2 = c^2\n$$');
+    });
+
+    test('keeps code blocks free of inline markers', () => {
+      const code = {
+        type: 'code',
+        code: {
+          language: 'python',
+          rich_text: [{ plain_text: 'x = 1', annotations: { bold: true } }],
+        },
+      };
+
+      expect(blockToMarkdown(code)).toBe('```python\nx = 1\n```');
+    });
+  });
+
   describe('filter composition', () => {
     test('combines query with AND filter without increasing depth', () => {
       const parsedFilter = {
@@ -0,0 +1,342 @@
+const {
+  markdownToBlocks,
+  normalizeCodeLanguage,
+  parseInlineMarkdown,
+  splitText,
+  parseWikilinkTarget,
+} = require('../utils/markdown');
+const { markdownToParagraphBlocks } = require('../utils/helpers');
+
+const text = (content) => [{ type: 'text', text: { content } }];
+
+describe('markdownToBlocks', () => {
+  test('returns empty array for empty input', () => {
+    expect(markdownToBlocks('')).toEqual([]);
+    expect(markdownToBlocks(null)).toEqual([]);
+  });
+
+  test('converts headings, dividers and paragraphs', () => {
+    const blocks = markdownToBlocks([
+      '# Title',
+      '## Section',
+      '#### Deep heading',
+      '',
+      'First line',
+      'second line',
+      '',
+      '---',
+      'After divider',
+    ].join('\n'));
+
+    expect(blocks.map((block) => block.type)).toEqual([
+      'heading_1',
+      'heading_2',
+      'heading_3',
+      'paragraph',
+      'divider',
+      'paragraph',
+    ]);
+    expect(blocks[0].heading_1.rich_text).toEqual(text('Title'));
+    expect(blocks[2].heading_3.rich_text).toEqual(text('Deep heading'));
+    expect(blocks[3].paragraph.rich_text).toEqual(text('First line\nsecond line'));
+  });
+
+  test('nests list items by indentation', () => {
+    const blocks = markdownToBlocks([
+      '- parent',
+      '  - child',
+      '    1. grandchild',
+      '- sibling',
+      '- [ ] open task',
+      '- [x] done task',
+    ].join('\n'));
+
+    expect(blocks).toHaveLength(4);
+    expect(blocks[0].type).toBe('bulleted_list_item');
+    const child = blocks[0].bulleted_list_item.children[0];
+    expect(child.bulleted_list_item.rich_text).toEqual(text('child'));
+    const grandchild = child.bulleted_list_item.children[0];
+    expect(grandchild.type).toBe('numbered_list_item');
+    expect(grandchild.numbered_list_item.rich_text).toEqual(text('grandchild'));
+    expect(blocks[1].bulleted_list_item.rich_text).toEqual(text('sibling'));
+    expect(blocks[2].to_do).toEqual({ rich_text: text('open task'), checked: false });
+    expect(blocks[3].to_do).toEqual({ rich_text: text('done task'), checked: true });
+  });
+
+  test('attaches indented paragraphs to list items', () => {
+    const blocks = markdownToBlocks([
+      '1. step one',
+      '   continued',
+      '',
+      '   more detail',
+      '2. step two',
+    ].join('\n'));
+
+    expect(blocks).toHaveLength(2);
+    expect(blocks[0].numbered_list_item.rich_text).toEqual(text('step one\ncontinued'));
+    expect(blocks[0].numbered_list_item.children).toEqual([
+      { object: 'block', type: 'paragraph', paragraph: { rich_text: text('more detail') } },
+    ]);
+  });
+
+  test('converts toggle markers into toggles with nested children', () => {
+    const blocks = markdownToBlocks(['▸ Summary', '', '  Hidden body', '  - item'].join('\n'));
+
+    expect(blocks).toHaveLength(1);
+    expect(blocks[0].type).toBe('toggle');
+    expect(blocks[0].toggle.rich_text).toEqual(text('Summary'));
+    expect(blocks[0].toggle.children.map((child) => child.type)).toEqual(['paragraph', 'bulleted_list_item']);
+  });
+
+  test('merges consecutive quote lines', () => {
+    const blocks = markdownToBlocks(['> one', '> two', '', 'plain'].join('\n'));
+
+    expect(blocks[0]).toEqual({
+      object: 'block',
+      type: 'quote',
+      quote: { rich_text: text('one\ntwo') },
+    });
+    expect(blocks[1].type).toBe('paragraph');
+  });
+
+  test('keeps fenced code verbatim with language', () => {
+    const blocks = markdownToBlocks([
+      '```js',
+      'const a = 1;',
+      '',
+      '# not a heading',
+      '```',
+      '~~~',
+      'plain',
+      '~~~',
+    ].join('\n'));
+
+    expect(blocks).toHaveLength(2);
+    expect(blocks[0].code).toEqual({
+      rich_text: text('const a = 1;\n\n# not a heading'),
+      language: 'javascript',
+    });
+    expect(blocks[1].code.language).toBe('plain text');
+  });
+});
+
+describe('callouts', () => {
+  test('converts GitHub admonitions to callouts', () => {
+    const [block] = markdownToBlocks(['> [!WARNING]', '> Check the **fuel**', '> twice'].join('\n'));
+
+    expect(block.type).toBe('callout');
+    expect(block.callout.icon).toEqual({ type: 'emoji', emoji: '⚠️' });
+    expect(block.callout.color).toBe('yellow_background');
+    expect(block.callout.rich_text.map((run) => run.text.content).join('')).toBe('Check the fuel\ntwice');
+  });
+
+  test('converts emoji-prefixed quotes to callouts', () => {
+    const [block] = markdownToBlocks('> 🚀 Launch day');
+
+    expect(block.callout).toEqual({
+      rich_text: text('Launch day'),
+      icon: { type: 'emoji', emoji: '🚀' },
+      color: 'gray_background',
+    });
+  });
+
+  test('accepts text-style symbols only with a variation selector', () => {
+    const [block] = markdownToBlocks('> ⚠️ Mind the gap');
+    expect(block.callout.icon).toEqual({ type: 'emoji', emoji: '⚠️' });
+
+    const blocks = markdownToBlocks(['> © 2024 ACME', '', '> ™ brand', '', '> ↔ maps'].join('\n'));
+    expect(blocks.map((b) => b.type)).toEqual(['quote', 'quote', 'quote']);
+  });
+
+  test('keeps unknown admonitions and plain quotes as quotes', () => {
+    const blocks = markdownToBlocks(['> [!BOGUS]', '> text', '', '> just a quote'].join('\n'));
+    expect(blocks.map((block) => block.type)).toEqual(['quote', 'quote']);
+  });
+});
+
+describe('equations', () => {
+  test('converts single and multi-line block equations', () => {
+    const blocks = markdownToBlocks(['$$ E = mc^2 $$', '', '$$', 'a^2 +', 'b^2', '$$'].join('\n'));
+
+    expect(blocks).toEqual([
+      { object: 'block', type: 'equation', equation: { expression: 'E = mc^2' } },
+      { object: 'block', type: 'equation', equation: { expression: 'a^2 +\nb^2' } },
+    ]);
+  });
+
+  test('converts inline math to equation runs', () => {
+    expect(parseInlineMarkdown('Let $x_1$ be **$y$**')).toEqual([
+      { type: 'text', text: { content: 'Let ' } },
+      { type: 'equation', equation: { expression: 'x_1' } },
+      { type: 'text', text: { content: ' be ' } },
+      { type: 'equation', equation: { expression: 'y' }, annotations: { bold: true } },
+    ]);
+  });
+
+  test('leaves currency and escaped dollars literal', () => {
+    expect(parseInlineMarkdown('costs $5 and $10')).toEqual(text('costs $5 and $10'));
+    expect(parseInlineMarkdown('\\$x$')).toEqual(text('$x$'));
+  });
+});
+
+describe('wikilinks', () => {
+  test('parses Dendron wikilink targets', () => {
+    expect(parseWikilinkTarget('task.a')).toEqual({ fname: 'task.a', label: null, anchor: null });
+    expect(parseWikilinkTarget('Trip|task.a#plan')).toEqual({ fname: 'task.a', label: 'Trip', anchor: 'plan' });
+    expect(parseWikilinkTarget('dendron://vault/task.a')).toEqual({ fname: 'task.a', label: null, anchor: null });
+    expect(parseWikilinkTarget('  ')).toBeNull();
+  });
+
+  test('mentions resolved targets and keeps the rest literal', () => {
+    const resolveWikilink = (target) => (target.fname === 'known' ? 'page-id' : null);
+    const rich = parseInlineMarkdown('**[[known]]** and [[un_known_note]]', { resolveWikilink });
+
+    expect(rich).toEqual([
+      { type: 'mention', mention: { page: { id: 'page-id' } }, annotations: { bold: true } },
+      { type: 'text', text: { content: ' and [[un_known_note]]' } },
+    ]);
+  });
+
+  test('keeps wikilinks literal without a resolver', () => {
+    expect(parseInlineMarkdown('[[a_b_c]]')).toEqual(text('[[a_b_c]]'));
+  });
+});
+
+describe('tables', () => {
+  const cellText = (row) => row.table_row.cells.map((cell) => cell.map((run) => run.text.content).join(''));
+
+  test('converts pipe tables with a header row', () => {
+    const blocks = markdownToBlocks([
+      'Intro',
+      '',
+      '| Name | Notes |',
+      '| :--- | ---: |',
+      '| a \\| b | **bold** |',
+      '| c | line<br>break |',
+      '',
+      'After',
+    ].join('\n'));
+
+    expect(blocks.map((block) => block.type)).toEqual(['paragraph', 'table', 'paragraph']);
+    const { table } = blocks[1];
+    expect(table.table_width).toBe(2);
+    expect(table.has_column_header).toBe(true);
+    expect(table.has_row_header).toBe(false);
+    expect(table.children.map(cellText)).toEqual([
+      ['Name', 'Notes'],
+      ['a | b', 'bold'],
+      ['c', 'line\nbreak'],
+    ]);
+    expect(table.children[1].table_row.cells[1][0].annotations).toEqual({ bold: true });
+  });
+
+  test('treats pipe-wrapped rows without a delimiter as a headerless table', () => {
+    const [block] = markdownToBlocks(['| a | b |', '| c |'].join('\n'));
+
+    expect(block.table.has_column_header).toBe(false);
+    expect(block.table.table_width).toBe(2);
+    expect(block.table.children.map(cellText)).toEqual([['a', 'b'], ['c', '']]);
+  });
+
+  test('leaves single lines with pipes as paragraphs', () => {
+    const [block] = markdownToBlocks('this | that');
+    expect(block.type).toBe('paragraph');
+  });
+});
+
+describe('long content', () => {
+  test('splits long lines across rich text runs without dropping text', () => {
+    const long = 'a'.repeat(4500);
+    const [block] = markdownToBlocks(long);
+    const runs = block.paragraph.rich_text;
+
+    expect(runs.map((run) => run.text.content.length)).toEqual([2000, 2000, 500]);
+    expect(runs.map((run) => run.text.content).join('')).toBe(long);
+  });
+
+  test('keeps formatting on every piece of a split run', () => {
+    const [block] = markdownToBlocks(`**${'b'.repeat(2500)}**`);
+    expect(block.paragraph.rich_text).toHaveLength(2);
+    expect(block.paragraph.rich_text.every((run) => run.annotations.bold)).toBe(true);
+  });
+
+  test('splits blocks with more than 100 rich text runs', () => {
+    const code = 'x'.repeat(2000 * 150);
+    const blocks = markdownToBlocks(['```', code, '```'].join('\n'));
+
+    expect(blocks).toHaveLength(2);
+    expect(blocks[0].code.rich_text).toHaveLength(100);
+    expect(blocks[1].code.rich_text).toHaveLength(50);
+    expect(blocks[1].code.language).toBe('plain text');
+  });
+
+  test('does not split surrogate pairs', () => {
+    const parts = splitText(`${'a'.repeat(1999)}😀b`);
+    expect(parts).toEqual(['a'.repeat(1999), '😀b']);
+  });
+
+  test('markdownToParagraphBlocks no longer truncates', () => {
+    const long = 'z'.repeat(2100);
+    const [block] = markdownToParagraphBlocks(long);
+    expect(block.paragraph.rich_text.map((run) => run.text.content).join('')).toBe(long);
+  });
+});
+
+describe('parseInlineMarkdown', () => {
+  test('returns a single plain run for unformatted text', () => {
+    expect(parseInlineMarkdown('just text')).toEqual(text('just text'));
+  });
+
+  test('converts bold, italic, strikethrough and code', () => {
+    expect(parseInlineMarkdown('a **b** _c_ ~~d~~ `e`')).toEqual([
+      { type: 'text', text: { content: 'a ' } },
+      { type: 'text', text: { content: 'b' }, annotations: { bold: true } },
+      { type: 'text', text: { content: ' ' } },
+      { type: 'text', text: { content: 'c' }, annotations: { italic: true } },
+      { type: 'text', text: { content: ' ' } },
+      { type: 'text', text: { content: 'd' }, annotations: { strikethrough: true } },
+      { type: 'text', text: { content: ' ' } },
+      { type: 'text', text: { content: 'e' }, annotations: { code: true } },
+    ]);
+  });
+
+  test('supports nested emphasis and links', () => {
+    expect(parseInlineMarkdown('***both*** [**docs**](https://example.com)')).toEqual([
+      { type: 'text', text: { content: 'both' }, annotations: { bold: true, italic: true } },
+      { type: 'text', text: { content: ' ' } },
+      {
+        type: 'text',
+        text: { content: 'docs', link: { url: 'https://example.com' } },
+        annotations: { bold: true },
+      },
+    ]);
+  });
+
+  test('leaves literal markers alone', () => {
+    expect(parseInlineMarkdown('snake_case_name and 2 * 3 * 4')).toEqual(text('snake_case_name and 2 * 3 * 4'));
+    expect(parseInlineMarkdown('\\*not italic\\*')).toEqual(text('*not italic*'));
+    expect(parseInlineMarkdown('`**raw**`')).toEqual([
+      { type: 'text', text: { content: '**raw**' }, annotations: { code: true } },
+    ]);
+    expect(parseInlineMarkdown('[local](./note.md)')).toEqual(text('[local](./note.md)'));
+  });
+
+  test('formats block rich text', () => {
+    const [block] = markdownToBlocks('## A **bold** heading');
+    expect(block.heading_2.rich_text[1]).toEqual({
+      type: 'text',
+      text: { content: 'bold' },
+      annotations: { bold: true },
+    });
+  });
+});
+
+describe('normalizeCodeLanguage', () => {
+  test('maps aliases and unknown languages', () => {
+    expect(normalizeCodeLanguage('python')).toBe('python');
+    expect(normalizeCodeLanguage('sh')).toBe('shell');
+    expect(normalizeCodeLanguage('plain text')).toBe('plain text');
+    expect(normalizeCodeLanguage('brainfudge')).toBe('plain text');
+    expect(normalizeCodeLanguage('')).toBe('plain text');
+  });
+});
@@ -0,0 +1,92 @@
+const { inferPropertyType, planProvisioning, applyProvisioning } = require('../commands/sync-provision');
+
+const properties = (types) =>
+  Object.fromEntries(Object.entries(types).map(([name, type]) => [name, { id: name, type }]));
+
+describe('sync provision', () => {
+  const rule = (ruleName, databaseId, fmToSync) => ({
+    ruleName,
+    fnameTrigger: `${ruleName}.*`,
+    priority: 0,
+    matchStrategy: 'first',
+    fmToSync,
+    destination: { databaseId },
+  });
+
+  test('infers types from transforms and note values', () => {
+    expect(inferPropertyType({ name: 'tags' }, [['a'], ['b', 'c'], undefined])).toBe('multi_select');
+    expect(inferPropertyType({ name: 'done' }, [true, false])).toBe('checkbox');
+    expect(inferPropertyType({ name: 'score' }, [1, 2.5])).toBe('number');
+    expect(inferPropertyType({ name: 'due' }, ['2024-01-02', '2024-02-03 10:00'])).toBe('date');
+    expect(inferPropertyType({ name: 'link' }, ['https://example.com'])).toBe('url');
+    expect(inferPropertyType({ name: 'mixed' }, [1, 'two'])).toBe('rich_text');
+    expect(inferPropertyType({ name: 'unused' }, [])).toBe('rich_text');
+    expect(inferPropertyType({ name: 'status', map: { todo: 'To do' } }, ['todo'])).toBe('select');
+    expect(inferPropertyType({ target: 'Date', from: 'fnameDate' }, [])).toBe('date');
+  });
+
+  test('plans only missing properties and warns about wrong existing types', async () => {
+    const retrieve = jest.fn(async ({ database_id: databaseId }) => ({
+      title: [{ plain_text: databaseId.startsWith('01234567') ? 'Tasks' : 'Journal' }],
+      properties: databaseId.startsWith('01234567')
+        ? properties({ Name: 'title', dendron_id: 'rich_text', last_synced: 'rich_text', Status: 'select' })
+        : properties({ Name: 'title' }),
+    }));
+    const task = rule('task', '0123456789abcdef0123456789abcdef', [
+      { name: 'status', target: 'Status' },
+      { name: 'tags', target: 'Tags' },
+      { name: 'score' },
+    ]);
+    const journal = rule('journal', 'fedcba9876543210fedcba9876543210', [{ target: 'Date', from: 'fnameDate' }]);
+    const noteIndex = new Map([
+      ['task.one', { frontmatter: { status: 'todo', tags: ['a'], score: 3 } }],
+      ['task.two', { frontmatter: { status: 'done', score: 5 } }],
+      ['journal.2024.01.02', { frontmatter: {} }],
+    ]);
+
+    const plans = await planProvisioning({ client: { databases: { retrieve } }, rules: [task, journal], allRules: [task, journal], noteIndex });
+
+    expect(plans).toEqual([
+      {
+        databaseId: '01234567-89ab-cdef-0123-456789abcdef',
+        title: 'Tasks',
+        additions: [
+          { name: 'Tags', type: 'multi_select', sources: ['rule task'] },
+          { name: 'score', type: 'number', sources: ['rule task'] },
+        ],
+        warnings: ['"last_synced" is rich_text but sync needs date; change it in Notion.'],
+      },
+      {
+        databaseId: 'fedcba98-7654-3210-fedc-ba9876543210',
+        title: 'Journal',
+        additions: [
+          { name: 'dendron_id', type: 'rich_text', sources: ['sync'] },
+          { name: 'last_synced', type: 'date', sources: ['sync'] },
+          { name: 'Date', type: 'date', sources: ['rule journal'] },
+        ],
+        warnings: [],
+      },
+    ]);
+  });
+
+  test('adds planned properties with one update per database', async () => {
+    const update = jest.fn(async () => ({}));
+    const added = await applyProvisioning({ databases: { update } }, [
+      { databaseId: 'db-1', additions: [] },
+      {
+        databaseId: 'db-2',
+        additions: [
+          { name: 'score', type: 'number' },
+          { name: 'Tags', type: 'multi_select' },
+        ],
+      },
+    ]);
+
+    expect(added).toBe(2);
+    expect(update).toHaveBeenCalledTimes(1);
+    expect(update).toHaveBeenCalledWith({
+      database_id: 'db-2',
+      properties: { score: { number: { format: 'number' } }, Tags: { multi_select: {} } },
+    });
+  });
+});
@@ -2,8 +2,19 @@ const {
   parseFrontmatter,
   serializeFrontmatter,
   matchFnameTrigger,
+  validateWhereConditions,
+  matchWhereConditions,
+  validateFieldTransform,
+  formatDateValue,
+  transformFieldValue,
+  reverseFieldValue,
+  validateTitleOption,
+  resolveNoteTitle,
   parseMultiSelectValues,
   mergeMultiSelectValues,
+  parseLocalDateTime,
+  hasConflictMarkers,
+  mergeWithConflictMarkers,
 } = require('../utils/sync');
 
 describe('Sync utilities', () => {
@@ -39,6 +50,84 @@ list:
     expect(matchFnameTrigger('note.task', 'task.*')).toBe(false);
   });
 
+  test('matches frontmatter conditions from a rule where block', () => {
+    const frontmatter = { type: 'meeting', tags: ['work', 'team'], status: 'open', date: new Date('2025-03-01') };
+    const matches = (where) => matchWhereConditions(frontmatter, 'meeting.2025.03.01.standup', where);
+
+    expect(matches(undefined)).toBe(true);
+    expect(matches({ type: 'meeting' })).toBe(true);
+    expect(matches({ type: { equals: 'task' } })).toBe(false);
+    expect(matches({ status: { in: ['open', 'blocked'] } })).toBe(true);
+    expect(matches({ tags: { contains: 'work' } })).toBe(true);
+    expect(matches({ tags: { contains: 'wor' } })).toBe(false);
+    expect(matches({ type: { contains: 'meet' } })).toBe(true);
+    expect(matches({ owner: { exists: false }, status: { exists: true } })).toBe(true);
+    expect(matches({ owner: { exists: true } })).toBe(false);
+    expect(matches({ fname: { regex: '^meeting\\.\\d{4}' } })).toBe(true);
+    expect(matches({ date: '2025-03-01', type: 'meeting' })).toBe(true);
+    expect(matches({ date: '2025-03-01', type: 'task' })).toBe(false);
+  });
+
+  test('rejects malformed where conditions', () => {
+    expect(() => validateWhereConditions(['type'])).toThrow('expected a mapping');
+    expect(() => validateWhereConditions({ type: { like: 'meet' } })).toThrow('unknown operator "like"');
+    expect(() => validateWhereConditions({ type: { in: 'meeting' } })).toThrow('must be a list');
+    expect(() => validateWhereConditions({ fname: { regex: '(' } })).toThrow('invalid regex');
+    expect(() => validateWhereConditions({ type: 'meeting', tags: { contains: 'work' } })).not.toThrow();
+  });
+
+  test('transforms fmToSync values', () => {
+    const fname = 'task.2025.12.28.finalize-trip';
+    const frontmatter = { status: 'todo', tags: ['Work', 'Home'], due: new Date('2025-12-28'), title: '' };
+    const transform = (option) => transformFieldValue(option, frontmatter, fname);
+
+    expect(transform({ name: 'status', map: { todo: 'Not started' } })).toBe('Not started');
+    expect(transform({ name: 'status', map: { done: 'Done' } })).toBe('todo');
+    expect(transform({ name: 'tags', case: 'lower' })).toEqual(['work', 'home']);
+    expect(transform({ name: 'title', default: 'Untitled', case: 'upper' })).toBe('UNTITLED');
+    expect(transform({ name: 'missing' })).toBeUndefined();
+    expect(transform({ name: 'due', dateFormat: 'DD/MM/YYYY' })).toBe('28/12/2025');
+    expect(transform({ target: 'Due', from: 'fnameDate' })).toBe('2025-12-28');
+    expect(transform({ target: 'Slug', from: 'fname', extract: '\\.([a-z-]+)$' })).toBe('finalize-trip');
+    expect(transformFieldValue({ target: 'Due', from: 'fnameDate', default: 'none' }, {}, 'task.someday')).toBe('none');
+
+    expect(formatDateValue('2026-03-01 09:05', 'YYYY-MM-DDTHH:mm')).toBe('2026-03-01T09:05');
+    expect(formatDateValue('soon', 'YYYY')).toBe('soon');
+    expect(reverseFieldValue({ map: { todo: 'Not started', later: 'Not started', done: 'Done' } }, ['Done', 'Not started'])).toEqual([
+      'done',
+      'Not started',
+    ]);
+  });
+
+  test('rejects malformed fmToSync transforms', () => {
+    expect(() => validateFieldTransform({ target: 'Due', from: 'fnameDate' })).not.toThrow();
+    expect(() => validateFieldTransform({ from: 'fnameDate' })).toThrow('need a target');
+    expect(() => validateFieldTransform({ name: 'due', from: 'fname', target: 'Due' })).toThrow('either name or from');
+    expect(() => validateFieldTransform({ target: 'Due', from: 'path' })).toThrow('unknown from "path"');
+    expect(() => validateFieldTransform({ name: 'status', map: ['todo'] })).toThrow('map must be a mapping');
+    expect(() => validateFieldTransform({ name: 'status', case: 'title' })).toThrow('case must be one of');
+  });
+
+  test('resolves page titles from the rule title option', () => {
+    const note = {
+      frontmatter: { title: 'Trip plan', status: 'todo' },
+      fname: 'task.2025.12.28.finalize-trip',
+      body: '```\n# not a heading\n```\n## Details\n# Finalize the trip #\n',
+    };
+
+    expect(resolveNoteTitle('frontmatter', note)).toBe('Trip plan');
+    expect(resolveNoteTitle('fname', note)).toBe('finalize-trip');
+    expect(resolveNoteTitle('humanized', note)).toBe('Finalize Trip');
+    expect(resolveNoteTitle('heading', note)).toBe('Finalize the trip');
+    expect(resolveNoteTitle('heading', { ...note, body: '## Details' })).toBe('Details');
+    expect(resolveNoteTitle('{{humanized}} ({{status}})', note)).toBe('Finalize Trip (todo)');
+    expect(resolveNoteTitle(['heading', 'humanized'], { ...note, body: 'no headings' })).toBe('Finalize Trip');
+    expect(resolveNoteTitle('frontmatter', { fname: 'x' })).toBeNull();
+
+    expect(() => validateTitleOption(['heading', '{{fname}}'])).not.toThrow();
+    expect(() => validateTitleOption('first-line')).toThrow('unknown title source "first-line"');
+  });
+
   test('parses multi-select values and merges append mode', () => {
     expect(parseMultiSelectValues('a, b ,c')).toEqual(['a', 'b', 'c']);
     expect(parseMultiSelectValues(['x', 'y'])).toEqual(['x', 'y']);
@@ -46,4 +135,34 @@ list:
     const merged = mergeMultiSelectValues(['a', 'b'], ['b', 'c']);
     expect(merged).toEqual(['a', 'b', 'c']);
   });
+
+  test('parses local last_synced timestamps', () => {
+    expect(parseLocalDateTime('2026-03-01 10:15')).toEqual(new Date(2026, 2, 1, 10, 15));
+    expect(parseLocalDateTime('2026-03-01')).toEqual(new Date(2026, 2, 1));
+    expect(parseLocalDateTime('not a date')).toBeNull();
+    expect(parseLocalDateTime(undefined)).toBeNull();
+  });
+
+  test('wraps differing regions in conflict markers', () => {
+    const local = ['# Plan', 'keep', 'local edit', 'shared tail'].join('\n');
+    const remote = ['# Plan', 'keep', 'remote edit', 'added remotely', 'shared tail'].join('\n');
+
+    const merged = mergeWithConflictMarkers(local, remote, { localLabel: 'local', remoteLabel: 'notion' });
+    expect(merged.conflicts).toBe(1);
+    expect(merged.text).toBe([
+      '# Plan',
+      'keep',
+      '<<<<<<< local',
+      'local edit',
+      '=======',
+      'remote edit',
+      'added remotely',
+      '>>>>>>> notion',
+      'shared tail',
+    ].join('\n'));
+    expect(hasConflictMarkers(merged.text)).toBe(true);
+
+    expect(mergeWithConflictMarkers('same', 'same')).toEqual({ text: 'same', conflicts: 0 });
+    expect(hasConflictMarkers('a\n=======\nb')).toBe(false);
+  });
 });
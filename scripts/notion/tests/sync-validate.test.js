@@ -0,0 +1,113 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { checkRuleKeys, checkRuleAgainstSchema, validateSyncRules } = require('../commands/sync-validate');
+const { serializeFrontmatter } = require('../utils');
+
+const properties = (types) =>
+  Object.fromEntries(Object.entries(types).map(([name, type]) => [name, { id: name, type }]));
+
+describe('sync validate', () => {
+  let workspace;
+  let rulesDir;
+  let notesDir;
+
+  const writeRule = (file, content) => fs.writeFileSync(path.join(rulesDir, file), content, 'utf8');
+  const writeNote = (fname, frontmatter = {}) =>
+    fs.writeFileSync(path.join(notesDir, `${fname}.md`), serializeFrontmatter({ id: fname, ...frontmatter }, ''), 'utf8');
+
+  beforeEach(() => {
+    workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'notion-sync-validate-'));
+    rulesDir = path.join(workspace, 'syncRules');
+    notesDir = path.join(workspace, 'notes');
+    fs.mkdirSync(rulesDir);
+    fs.mkdirSync(notesDir);
+  });
+
+  afterEach(() => {
+    fs.rmSync(workspace, { recursive: true, force: true });
+  });
+
+  test('flags unknown keys and invalid modes', () => {
+    const result = checkRuleKeys({
+      fnameTrigger: 'task.*',
+      fmtoSync: [],
+      fmToSync: [{ name: 'tags', mode: 'merge', targt: 'Tags' }],
+    });
+
+    expect(result.errors).toEqual(['fmToSync entry "tags" has invalid mode "merge"; expected append or replace.']);
+    expect(result.warnings).toEqual(['Unknown rule key "fmtoSync".', 'Unknown key "targt" in fmToSync entry "tags".']);
+  });
+
+  test('checks required properties and fmToSync target types', () => {
+    const rule = {
+      fmToSync: [
+        { name: 'status', target: 'Status' },
+        { name: 'owner', target: 'Owner' },
+        { name: 'score', target: 'Score' },
+        { target: 'Estimate', from: 'fnameDate' },
+        { name: 'title', target: 'Status' },
+      ],
+    };
+
+    const result = checkRuleAgainstSchema(
+      rule,
+      properties({ Name: 'title', Status: 'select', Owner: 'people', Estimate: 'number', last_synced: 'rich_text' })
+    );
+
+    expect(result.errors).toEqual([
+      'Database is missing the required "dendron_id" property.',
+      '"last_synced" is rich_text; expected date.',
+      'fmToSync owner targets "Owner", a people property that sync cannot write.',
+      'fmToSync score targets "Score", which is not in the database.',
+    ]);
+    expect(result.warnings).toEqual([
+      'fmToSync from fnameDate produces a date but "Estimate" is number.',
+      'Property "Status" is set by both status and title; the last one wins.',
+    ]);
+  });
+
+  test('reports every rule, its database and the notes it matches without writing', async () => {
+    writeRule(
+      'task.yaml',
+      'fnameTrigger: "task.*"\nfmToSync:\n  - name: status\n    target: Status\ndestination:\n  databaseId: 0123456789abcdef0123456789abcdef\n'
+    );
+    writeRule('broken.yaml', 'fnameTrigger: "meeting.*"\n');
+    writeRule('journal.yaml', 'fnameTrigger: "journal.*"\ndestination:\n  databaseId: fedcba9876543210fedcba9876543210\n');
+    writeNote('task.one');
+    writeNote('task.two');
+    writeNote('meeting.weekly');
+    const before = fs.readdirSync(notesDir).map((file) => fs.readFileSync(path.join(notesDir, file), 'utf8'));
+
+    const client = {
+      databases: {
+        retrieve: async ({ database_id: databaseId }) => {
+          if (databaseId !== '01234567-89ab-cdef-0123-456789abcdef') {
+            const error = new Error('Could not find database');
+            error.body = { message: 'Could not find database' };
+            throw error;
+          }
+          return {
+            title: [{ plain_text: 'Tasks' }],
+            properties: properties({ Name: 'title', Status: 'status', dendron_id: 'rich_text', last_synced: 'date' }),
+          };
+        },
+      },
+    };
+
+    const report = await validateSyncRules({ client, rulesDir, noteRoots: [notesDir] });
+
+    expect(report.rules.map(({ ruleName, database, errors, matches }) => ({ ruleName, database, errors, matches }))).toEqual([
+      { ruleName: 'broken', database: null, errors: ['Rule in broken.yaml is missing destination.databaseId.'], matches: [] },
+      {
+        ruleName: 'journal',
+        database: null,
+        errors: ['Cannot read database fedcba9876543210fedcba9876543210: Could not find database'],
+        matches: [],
+      },
+      { ruleName: 'task', database: 'Tasks', errors: [], matches: expect.arrayContaining(['task.one', 'task.two']) },
+    ]);
+    expect(report.errors).toEqual([]);
+    expect(fs.readdirSync(notesDir).map((file) => fs.readFileSync(path.join(notesDir, file), 'utf8'))).toEqual(before);
+  });
+});
@@ -0,0 +1,1228 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  buildProperties,
+  buildNoteIndex,
+  createWikilinkResolver,
+  collectLocalIdsByDatabase,
+  findPrunablePages,
+  prunePages,
+  resolveExistingPage,
+  isRemoteNewer,
+  noteContentHash,
+  planSync,
+  applyRemoteProperties,
+  pullNote,
+  mergeNote,
+  getPreserveMatchers,
+  isPreservedBlock,
+  placePreservedBlocks,
+  updatePageBody,
+  syncNote,
+  resolveRelationProperties,
+  loadSyncRules,
+  resolveNoteRules,
+  syncNoteFile,
+  createChangeQueue,
+  createContentTracker,
+  isWatchedNotePath,
+} = require('../commands/sync');
+const { parseFrontmatter, serializeFrontmatter, markdownToBlocks, blockSignature } = require('../utils');
+
+const text = (content, extra = {}) => ({ type: 'text', plain_text: content, text: { content }, ...extra });
+const block = (id, type, value, children) => ({
+  id,
+  type,
+  has_children: Boolean(children),
+  [type]: value,
+  children,
+});
+
+function createPageClient(blocks) {
+  const byParent = new Map();
+  const register = (parentId, list) => {
+    byParent.set(parentId, list.map(({ children, ...rest }) => rest));
+    list.forEach((item) => item.children && register(item.id, item.children));
+  };
+  register('page-1', blocks);
+  return {
+    blocks: {
+      children: {
+        list: async ({ block_id }) => ({ results: byParent.get(block_id) || [], has_more: false }),
+      },
+    },
+  };
+}
+
+describe('sync command helpers', () => {
+  let workspace;
+
+  const writeNote = (fname, frontmatter, body = '') => {
+    const filePath = path.join(workspace, `${fname}.md`);
+    fs.writeFileSync(filePath, serializeFrontmatter({ id: fname, ...frontmatter }, body), 'utf8');
+    return filePath;
+  };
+
+  beforeEach(() => {
+    workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'notion-sync-unit-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(workspace, { recursive: true, force: true });
+  });
+
+  describe('wikilinks', () => {
+    test('indexes notes by fname and resolves synced targets to page mentions', () => {
+      const files = [
+        writeNote('task.2025.12.28.finalize-trip', {
+          notion_url: 'https://www.notion.so/Trip-0123456789abcdef0123456789abcdef',
+        }),
+        writeNote('task.unsynced', {}),
+      ];
+      fs.writeFileSync(path.join(workspace, 'no-frontmatter.md'), 'plain', 'utf8');
+      files.push(path.join(workspace, 'no-frontmatter.md'));
+
+      const index = buildNoteIndex(files);
+      expect([...index.keys()].sort()).toEqual(['task.2025.12.28.finalize-trip', 'task.unsynced']);
+
+      const unresolved = [];
+      const blocks = markdownToBlocks(
+        'See [[Trip|task.2025.12.28.finalize-trip#plan]] and [[task.unsynced]] and [[task.missing]]',
+        { resolveWikilink: createWikilinkResolver(index, unresolved) }
+      );
+
+      expect(blocks[0].paragraph.rich_text).toEqual([
+        { type: 'text', text: { content: 'See ' } },
+        { type: 'mention', mention: { page: { id: '01234567-89ab-cdef-0123-456789abcdef' } } },
+        { type: 'text', text: { content: ' and [[task.unsynced]] and [[task.missing]]' } },
+      ]);
+      expect(unresolved).toEqual(['task.unsynced', 'task.missing']);
+    });
+  });
+
+  describe('pull', () => {
+    const rule = {
+      fmToSync: [
+        { name: 'status', target: 'Status' },
+        { name: 'tags', target: 'Tags' },
+        { name: 'due' },
+        { name: 'owner', target: 'Owner' },
+      ],
+    };
+
+    test('detects pages edited after last_synced', () => {
+      const frontmatter = { last_synced: '2026-03-01 10:15' };
+      const at = (hours, minutes) => new Date(2026, 2, 1, hours, minutes).toISOString();
+
+      expect(isRemoteNewer({ last_edited_time: at(10, 16) }, frontmatter)).toBe(true);
+      expect(isRemoteNewer({ last_edited_time: at(10, 15) }, frontmatter)).toBe(false);
+      expect(isRemoteNewer({ last_edited_time: at(10, 16) }, {})).toBe(false);
+      expect(isRemoteNewer(null, frontmatter)).toBe(false);
+    });
+
+    test('maps changed properties back through fmToSync targets', () => {
+      const frontmatter = {
+        status: 'todo',
+        tags: 'a, b',
+        due: new Date('2026-03-02T00:00:00Z'),
+        owner: 'Kevin',
+      };
+
+      const changed = applyRemoteProperties({
+        rule,
+        frontmatter,
+        properties: {
+          Status: { type: 'select', select: { name: 'done' } },
+          Tags: { type: 'multi_select', multi_select: [{ name: 'a' }, { name: 'b' }, { name: 'c' }] },
+          due: { type: 'date', date: { start: '2026-03-02' } },
+          Owner: { type: 'rich_text', rich_text: [] },
+        },
+      });
+
+      expect(changed).toEqual(['status', 'tags', 'owner']);
+      expect(frontmatter).toEqual({
+        status: 'done',
+        tags: 'a, b, c',
+        due: new Date('2026-03-02T00:00:00Z'),
+      });
+    });
+
+    test('writes the page body back as markdown and keeps NOTION_ONLY toggles remote', async () => {
+      const filePath = writeNote(
+        'task.pull',
+        { status: 'todo', notion_url: 'https://www.notion.so/Pull-0123456789abcdef0123456789abcdef' },
+        'old body'
+      );
+      const other = writeNote('task.other', {
+        notion_url: 'https://www.notion.so/Other-fedcba9876543210fedcba9876543210',
+      });
+      const client = createPageClient([
+        block('b1', 'heading_2', { rich_text: [text('Plan')] }),
+        block('b2', 'paragraph', {
+          rich_text: [
+            text('Edited in '),
+            text('Notion', { annotations: { bold: true } }),
+            text(', see '),
+            {
+              type: 'mention',
+              plain_text: 'Other',
+              mention: { type: 'page', page: { id: 'fedcba98-7654-3210-fedc-ba9876543210' } },
+            },
+          ],
+        }),
+        block('b3', 'bulleted_list_item', { rich_text: [text('one')] }, [
+          block('b4', 'paragraph', { rich_text: [text('detail')] }),
+        ]),
+        block('b5', 'bulleted_list_item', { rich_text: [text('two')] }),
+        block('b6', 'toggle', { rich_text: [text('NOTION_ONLY')] }, [
+          block('b7', 'paragraph', { rich_text: [text('remote notes')] }),
+        ]),
+      ]);
+      const page = {
+        id: 'page-1',
+        last_edited_time: new Date().toISOString(),
+        properties: { Status: { type: 'status', status: { name: 'doing' } } },
+      };
+
+      const result = await pullNote({
+        client,
+        filePath,
+        rule,
+        page,
+        noteIndex: buildNoteIndex([filePath, other]),
+        dryRun: false,
+      });
+
+      expect(result).toEqual({
+        action: 'pulled',
+        url: 'https://www.notion.so/Pull-0123456789abcdef0123456789abcdef',
+        changedFields: ['status'],
+        bodyChanged: true,
+      });
+
+      const written = parseFrontmatter(fs.readFileSync(filePath, 'utf8'));
+      expect(written.data.status).toBe('doing');
+      expect(written.data.last_synced).toMatch(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}$/);
+      expect(written.body).toBe(
+        '## Plan\n\nEdited in **Notion**, see [[task.other]]\n\n- one\n\n  detail\n- two'
+      );
+
+      // The pulled body converts back into the same blocks
+      const roundTrip = markdownToBlocks(written.body);
+      expect(roundTrip.map((item) => item.type)).toEqual([
+        'heading_2',
+        'paragraph',
+        'bulleted_list_item',
+        'bulleted_list_item',
+      ]);
+      expect(roundTrip[2].bulleted_list_item.children.map((item) => item.type)).toEqual(['paragraph']);
+    });
+
+    test('pulls literal markdown characters as text that pushes back unchanged', async () => {
+      const filePath = writeNote('task.literal', {
+        notion_url: 'https://www.notion.so/Pull-0123456789abcdef0123456789abcdef',
+      });
+      const literals = ['# not a heading', '- not a list', '> not a quote', 'price *special*', 'costs $5 and $x$', 'a | b'];
+      const client = createPageClient([
+        ...literals.map((content, index) => block(`b${index}`, 'paragraph', { rich_text: [text(content)] })),
+        block('b9', 'bulleted_list_item', { rich_text: [text('# item')] }),
+      ]);
+      const page = { id: 'page-1', last_edited_time: new Date().toISOString(), properties: {} };
+
+      await pullNote({ client, filePath, rule, page, noteIndex: new Map(), dryRun: false });
+
+      const written = parseFrontmatter(fs.readFileSync(filePath, 'utf8'));
+      const roundTrip = markdownToBlocks(written.body);
+      expect(roundTrip.map((item) => item.type)).toEqual([...literals.map(() => 'paragraph'), 'bulleted_list_item']);
+      expect(roundTrip.map((item) => item[item.type].rich_text.map((run) => run.text.content).join(''))).toEqual([
+        ...literals,
+        '# item',
+      ]);
+    });
+
+    test('pulls links, images, wikilinks and URLs back without escapes', async () => {
+      const filePath = writeNote('task.links', {
+        notion_url: 'https://www.notion.so/Pull-0123456789abcdef0123456789abcdef',
+      });
+      const lines = [
+        'See [[task.b]] later',
+        '![diagram](/assets/images/x.png)',
+        '[notes](../other.md)',
+        'https://ex.com/a_b_c',
+      ];
+      const client = createPageClient(
+        lines.map((content, index) => block(`b${index}`, 'paragraph', { rich_text: [text(content)] }))
+      );
+      const page = { id: 'page-1', last_edited_time: new Date().toISOString(), properties: {} };
+
+      await pullNote({ client, filePath, rule, page, noteIndex: new Map(), dryRun: false });
+
+      const written = parseFrontmatter(fs.readFileSync(filePath, 'utf8'));
+      expect(written.body).toBe(lines.join('\n\n'));
+    });
+
+    test('reports changes without writing in dry run', async () => {
+      const filePath = writeNote('task.dry', { status: 'todo' }, 'same');
+      const before = fs.readFileSync(filePath, 'utf8');
+      const client = createPageClient([block('b1', 'paragraph', { rich_text: [text('same')] })]);
+
+      const result = await pullNote({
+        client,
+        filePath,
+        rule,
+        page: { id: 'page-1', properties: { Status: { type: 'select', select: { name: 'todo' } } } },
+        noteIndex: new Map(),
+        dryRun: true,
+      });
+
+      expect(result).toEqual({ action: 'would_pull', url: undefined, changedFields: [], bodyChanged: false });
+      expect(fs.readFileSync(filePath, 'utf8')).toBe(before);
+    });
+  });
+
+  describe('conflicts', () => {
+    const rule = { fmToSync: [{ name: 'status', target: 'Status' }] };
+    const frontmatter = { last_synced: '2026-03-01 10:15' };
+    const page = (hours, minutes) => ({ last_edited_time: new Date(2026, 2, 1, hours, minutes).toISOString() });
+    const modified = (hours, minutes, seconds = 0) => new Date(2026, 2, 1, hours, minutes, seconds);
+
+    test('plans pushes, pulls and conflicts from both sides of the last sync', () => {
+      const plan = (options) => planSync({ frontmatter, direction: 'both', ...options });
+
+      expect(plan({ page: null, modifiedAt: modified(11, 0) })).toBe('push');
+      expect(plan({ page: page(10, 15), modifiedAt: modified(10, 15, 40) })).toBe('push');
+      expect(plan({ page: page(10, 30), modifiedAt: modified(10, 15, 40) })).toBe('pull');
+      expect(plan({ page: page(10, 15), modifiedAt: modified(10, 30) })).toBe('push');
+      expect(plan({ page: page(10, 30), modifiedAt: modified(10, 30) })).toBe('conflict');
+      expect(plan({ page: page(10, 30), modifiedAt: modified(10, 30), strategy: 'local-wins' })).toBe('push');
+      expect(plan({ page: page(10, 30), modifiedAt: modified(10, 30), strategy: 'remote-wins' })).toBe('pull');
+      expect(plan({ page: page(10, 30), modifiedAt: modified(10, 30), strategy: 'merge' })).toBe('merge');
+      expect(plan({ page: page(10, 30), modifiedAt: modified(10, 30), strategy: 'merge', direction: 'push' })).toBe('skip');
+      expect(plan({ page: page(10, 30), modifiedAt: modified(10, 30), strategy: 'merge', direction: 'pull' })).toBe('merge');
+      expect(plan({ page: page(10, 30), modifiedAt: modified(10, 15), direction: 'push' })).toBe('push');
+      expect(plan({ page: page(10, 15), modifiedAt: modified(10, 30), direction: 'pull' })).toBe('skip');
+    });
+
+    test('merges both bodies with conflict markers and keeps local frontmatter', async () => {
+      const filePath = writeNote('task.merge', { status: 'todo', notion_url: 'https://www.notion.so/x' }, 'intro\n\nlocal line');
+      const client = createPageClient([
+        block('b1', 'paragraph', { rich_text: [text('intro')] }),
+        block('b2', 'paragraph', { rich_text: [text('remote line')] }),
+      ]);
+
+      const result = await mergeNote({
+        client,
+        filePath,
+        rule,
+        page: { id: 'page-1', properties: { Status: { type: 'select', select: { name: 'done' } } } },
+        noteIndex: new Map(),
+        dryRun: false,
+      });
+
+      expect(result).toEqual({
+        action: 'merged',
+        url: 'https://www.notion.so/x',
+        conflicts: 1,
+        differingFields: ['status'],
+      });
+      const written = parseFrontmatter(fs.readFileSync(filePath, 'utf8'));
+      expect(written.data.status).toBe('todo');
+      expect(written.body).toBe('intro\n\n<<<<<<< local\nlocal line\n=======\nremote line\n>>>>>>> notion');
+    });
+
+    test('refuses to push notes with unresolved conflict markers', async () => {
+      const filePath = writeNote('task.markers', {}, '<<<<<<< local\na\n=======\nb\n>>>>>>> notion');
+
+      await expect(
+        syncNote({ client: {}, filePath, rule, schema: {}, existingPage: null, noteIndex: new Map(), dryRun: true })
+      ).rejects.toThrow('unresolved conflict markers');
+    });
+  });
+
+  describe('incremental sync', () => {
+    const rule = { fmToSync: [{ name: 'status', target: 'Status' }] };
+    const lastEdited = { last_edited_time: new Date(2026, 2, 1, 10, 15).toISOString() };
+
+    test('hashes only the synced fields and body', () => {
+      const base = noteContentHash(rule, { id: 'a', status: 'todo', last_synced: 'x' }, 'body\n');
+      expect(noteContentHash(rule, { id: 'a', status: 'todo', last_synced: 'y', notion_url: 'u' }, 'body')).toBe(base);
+      expect(noteContentHash(rule, { id: 'a', status: 'done' }, 'body')).not.toBe(base);
+      expect(noteContentHash(rule, { id: 'a', status: 'todo' }, 'edited')).not.toBe(base);
+    });
+
+    test('skips notes whose hash matches unless forced', () => {
+      const contentHash = noteContentHash(rule, { id: 'a' }, 'body');
+      const frontmatter = { id: 'a', last_synced: '2026-03-01 10:15', sync_hash: contentHash };
+      // A touched file with the same content is not a local change
+      const modifiedAt = new Date(2026, 2, 1, 12, 0);
+      const plan = (options) => planSync({ page: lastEdited, frontmatter, modifiedAt, contentHash, ...options });
+
+      expect(plan({})).toBe('unchanged');
+      expect(plan({ force: true })).toBe('push');
+      expect(plan({ contentHash: 'different' })).toBe('push');
+      expect(plan({ page: { last_edited_time: new Date(2026, 2, 1, 11, 0).toISOString() } })).toBe('pull');
+      expect(
+        plan({ page: { last_edited_time: new Date(2026, 2, 1, 11, 0).toISOString() }, contentHash: 'different' })
+      ).toBe('conflict');
+      expect(plan({ page: null })).toBe('push');
+    });
+
+    test('records the hash when pushing a note', async () => {
+      const filePath = writeNote('task.hash', { status: 'todo' }, 'body');
+      const client = {
+        pages: { create: async () => ({ id: 'page-1', url: 'https://www.notion.so/page-1' }) },
+        blocks: { children: { append: async () => ({ results: [] }) } },
+      };
+      const schema = {
+        propNameToType: { Name: 'title', Status: 'select', dendron_id: 'rich_text', last_synced: 'date' },
+        titlePropName: 'Name',
+      };
+
+      await syncNote({
+        client,
+        filePath,
+        rule: { ...rule, destination: { databaseId: 'db' } },
+        schema,
+        existingPage: null,
+        noteIndex: new Map(),
+        dryRun: false,
+      });
+
+      const written = parseFrontmatter(fs.readFileSync(filePath, 'utf8'));
+      expect(written.data.sync_hash).toBe(noteContentHash(rule, written.data, written.body, 'task.hash'));
+    });
+    test('creates pages with their body in the same request', async () => {
+      const filePath = writeNote('task.body', {}, 'first\n\nsecond');
+      const creates = [];
+      const append = jest.fn(async () => ({ results: [] }));
+      const client = {
+        pages: {
+          create: async (request) => {
+            creates.push(request);
+            return { id: 'page-1', url: 'https://www.notion.so/page-1' };
+          },
+        },
+        blocks: { children: { append } },
+      };
+      const schema = { propNameToType: { Name: 'title', dendron_id: 'rich_text', last_synced: 'date' }, titlePropName: 'Name' };
+
+      await syncNote({
+        client,
+        filePath,
+        rule: { ...rule, destination: { databaseId: 'db' } },
+        schema,
+        existingPage: null,
+        noteIndex: new Map(),
+        dryRun: false,
+      });
+
+      expect(creates[0].children.map((child) => child.type)).toEqual(['paragraph', 'paragraph']);
+      expect(append).not.toHaveBeenCalled();
+    });
+
+    test('keeps pushing a note until its wikilinks resolve', async () => {
+      const taskA = writeNote('task.a', {}, 'See [[task.b]]');
+      const taskB = writeNote('task.b', {}, 'Target');
+      const pushed = [];
+      let pageCount = 0;
+      const client = {
+        databases: {
+          retrieve: async () => ({
+            properties: { Name: { type: 'title' }, dendron_id: { type: 'rich_text' }, last_synced: { type: 'date' } },
+          }),
+          query: async () => ({ results: [] }),
+        },
+        pages: {
+          create: async ({ children = [] }) => {
+            pageCount += 1;
+            const id = String(pageCount).repeat(32);
+            pushed.push(...children);
+            return { id, url: `https://www.notion.so/${id}` };
+          },
+          retrieve: async ({ page_id: id }) => ({
+            id,
+            url: `https://www.notion.so/${id.replace(/-/g, '')}`,
+            last_edited_time: new Date(2020, 0, 1).toISOString(),
+            properties: {},
+          }),
+          update: async () => ({}),
+        },
+        blocks: {
+          children: {
+            list: async () => ({ results: [], has_more: false }),
+            append: async ({ children }) => {
+              pushed.push(...children);
+              return { results: children.map((child, index) => ({ id: `block-${index}` })) };
+            },
+          },
+          update: async () => ({}),
+        },
+      };
+      const rules = [{ ruleName: 'task', fnameTrigger: 'task.*', fmToSync: [], destination: { databaseId: 'db' } }];
+      const run = async () => {
+        const summary = { matched: 0, created: 0, updated: 0, unchanged: 0, skipped: 0, errors: [], warnings: [] };
+        const noteIndex = buildNoteIndex([taskA, taskB]);
+        const log = console.log;
+        console.log = () => {};
+        try {
+          for (const filePath of [taskA, taskB]) {
+            await syncNoteFile({ client, filePath, rules, schemaCache: new Map(), noteIndex, options: { direction: 'push' }, summary });
+          }
+        } finally {
+          console.log = log;
+        }
+        return summary;
+      };
+
+      const first = await run();
+      expect(first).toMatchObject({ created: 2, errors: [] });
+      expect(first.warnings.map((warning) => warning.message)).toEqual([
+        'task.a: wikilinks to unsynced notes kept as text: task.b',
+      ]);
+      expect(parseFrontmatter(fs.readFileSync(taskA, 'utf8')).data.sync_hash).toBeUndefined();
+
+      pushed.length = 0;
+      const second = await run();
+      expect(second).toMatchObject({ updated: 1, unchanged: 1, errors: [], warnings: [] });
+      expect(pushed[0].paragraph.rich_text[1]).toEqual({
+        type: 'mention',
+        mention: { page: { id: '22222222-2222-2222-2222-222222222222' } },
+      });
+
+      expect(await run()).toMatchObject({ updated: 0, unchanged: 2 });
+    });
+  });
+
+  describe('block-level body updates', () => {
+    test('updates changed blocks in place and leaves the rest intact', async () => {
+      const children = {
+        page: [
+          block('keep', 'heading_1', { rich_text: [text('Plan')] }),
+          { ...block('list', 'bulleted_list_item', { rich_text: [text('steps')] }), has_children: true },
+          { ...block('notion-only', 'toggle', { rich_text: [text('NOTION_ONLY')] }), has_children: true },
+          block('gone', 'paragraph', { rich_text: [text('removed')] }),
+        ],
+        list: [block('child', 'bulleted_list_item', { rich_text: [text('old step')] })],
+      };
+      const calls = [];
+      const client = {
+        blocks: {
+          children: {
+            list: async ({ block_id }) => ({ results: children[block_id] || [], has_more: false }),
+            append: async (request) => {
+              calls.push(['append', request.block_id, request.after || null, request.children.length]);
+              return { results: request.children.map((_, index) => ({ id: `new-${index}` })) };
+            },
+          },
+          update: async ({ block_id, ...payload }) => {
+            calls.push(['update', block_id, Object.keys(payload)[0]]);
+            return {};
+          },
+        },
+      };
+
+      const stats = await updatePageBody({
+        client,
+        pageId: 'page',
+        blocks: markdownToBlocks('# Plan\n\n- steps\n  - new step\n\nclosing'),
+      });
+
+      expect(calls).toEqual([
+        ['update', 'child', 'bulleted_list_item'],
+        ['update', 'gone', 'paragraph'],
+      ]);
+      expect(stats).toEqual({ unchanged: 2, updated: 2, inserted: 0, archived: 0 });
+
+      calls.length = 0;
+      await updatePageBody({ client, pageId: 'page', blocks: markdownToBlocks('# Plan\n\n- steps\n  - old step\n- extra') });
+      // The NOTION_ONLY toggle stays right after "steps", so the new item goes below it
+      expect(calls).toEqual([
+        ['update', 'gone', 'archived'],
+        ['append', 'page', 'notion-only', 1],
+      ]);
+    });
+  });
+
+  describe('preserved blocks', () => {
+    const heading = (content) => block(null, 'heading_2', { rich_text: [text(content)] });
+    const para = (content) => block(null, 'paragraph', { rich_text: [text(content)] });
+    const anchorAfter = (previous, extra = {}) => ({ previous, heading: null, atEnd: false, ...extra });
+
+    test('matches preserved blocks by type and first-line label', () => {
+      const defaults = getPreserveMatchers({});
+      expect(isPreservedBlock(block('t', 'toggle', { rich_text: [text('NOTION_ONLY')] }), defaults)).toBe(true);
+      expect(isPreservedBlock(block('c', 'callout', { rich_text: [text('NOTION_ONLY')] }), defaults)).toBe(false);
+
+      const custom = getPreserveMatchers({
+        notionOnlyLabel: 'Team notes',
+        preserve: [{ type: 'toggle' }, { type: 'callout', label: 'Review' }],
+      });
+      expect(custom).toEqual([
+        { type: 'toggle', label: 'Team notes' },
+        { type: 'callout', label: 'Review' },
+      ]);
+      expect(isPreservedBlock(block('t', 'toggle', { rich_text: [text('Team notes')] }), custom)).toBe(true);
+      expect(isPreservedBlock(block('c', 'callout', { rich_text: [text('Review\nlooks good')] }), custom)).toBe(true);
+      expect(isPreservedBlock(block('c', 'callout', { rich_text: [text('Reviewed')] }), custom)).toBe(false);
+    });
+
+    test('places preserved blocks after their previous block, section or page end', () => {
+      const blocks = [heading('Plan'), para('step'), para('new'), heading('Notes'), para('tail')];
+
+      expect(placePreservedBlocks([anchorAfter(blockSignature(para('step')))], blocks)).toEqual([2]);
+      // The previous block was edited: fall back to the end of its section
+      expect(
+        placePreservedBlocks([anchorAfter(blockSignature(para('edited')), { heading: blockSignature(heading('Plan')) })], blocks)
+      ).toEqual([3]);
+      expect(placePreservedBlocks([anchorAfter(blockSignature(para('step')), { atEnd: true })], blocks)).toEqual([5]);
+      expect(placePreservedBlocks([anchorAfter(null)], blocks)).toEqual([0]);
+      // Order between preserved blocks is kept
+      expect(
+        placePreservedBlocks([anchorAfter(blockSignature(para('tail'))), anchorAfter(blockSignature(para('step')))], blocks)
+      ).toEqual([5, 5]);
+    });
+  });
+
+  describe('page identity recovery', () => {
+    const rule = { fmToSync: [], destination: { databaseId: 'db' } };
+    const schema = { propNameToType: { Name: 'title', dendron_id: 'rich_text', last_synced: 'date' }, titlePropName: 'Name' };
+    const queryClient = (results) => {
+      const queries = [];
+      return {
+        queries,
+        databases: {
+          query: async (request) => {
+            queries.push(request);
+            return { results };
+          },
+        },
+      };
+    };
+
+    test('adopts the page with a matching dendron_id', async () => {
+      const page = { id: 'page-1', url: 'https://www.notion.so/page-1' };
+      const client = queryClient([page]);
+
+      const resolved = await resolveExistingPage({ client, frontmatter: { id: 'abc' }, rule, schema });
+
+      expect(resolved).toEqual({ page, adopted: true });
+      expect(client.queries).toEqual([
+        { database_id: 'db', filter: { property: 'dendron_id', rich_text: { equals: 'abc' } }, page_size: 10 },
+      ]);
+    });
+
+    test('reports duplicate pages and creates when nothing matches', async () => {
+      const duplicates = queryClient([
+        { id: 'a', url: 'https://www.notion.so/a' },
+        { id: 'b', url: 'https://www.notion.so/b' },
+      ]);
+      await expect(resolveExistingPage({ client: duplicates, frontmatter: { id: 'abc' }, rule, schema })).rejects.toThrow(
+        'Duplicate pages with dendron_id "abc": https://www.notion.so/a, https://www.notion.so/b'
+      );
+
+      const empty = queryClient([]);
+      expect(await resolveExistingPage({ client: empty, frontmatter: { id: 'abc' }, rule, schema })).toEqual({
+        page: null,
+        adopted: false,
+      });
+    });
+
+    test('writes the adopted notion_url when syncing', async () => {
+      const filePath = writeNote('task.adopt', {}, 'body');
+      const client = {
+        pages: { update: async () => ({}) },
+        blocks: {
+          children: { list: async () => ({ results: [], has_more: false }), append: async () => ({ results: [] }) },
+          update: async () => ({}),
+        },
+      };
+
+      const result = await syncNote({
+        client,
+        filePath,
+        rule,
+        schema,
+        existingPage: { id: 'page-1', url: 'https://www.notion.so/page-1-0123456789abcdef0123456789abcdef', properties: {} },
+        noteIndex: new Map(),
+        dryRun: false,
+      });
+
+      expect(result.action).toBe('updated');
+      const written = parseFrontmatter(fs.readFileSync(filePath, 'utf8'));
+      expect(written.data.notion_url).toBe('https://www.notion.so/page-1-0123456789abcdef0123456789abcdef');
+    });
+  });
+
+  describe('prune', () => {
+    test('collects local note ids per destination database', () => {
+      const files = [
+        writeNote('task.one', {}),
+        writeNote('task.two', {}),
+        writeNote('meeting.weekly', {}),
+        writeNote('scratch.idea', {}),
+      ];
+      fs.writeFileSync(path.join(workspace, 'broken.md'), '---\nid: [unclosed\n---\n', 'utf8');
+      const invalid = [];
+      const index = buildNoteIndex([...files, path.join(workspace, 'broken.md')], invalid);
+      const rules = [
+        { fnameTrigger: 'task.*', destination: { databaseId: '0123456789abcdef0123456789abcdef' } },
+        { fnameTrigger: 'meeting.*', destination: { databaseId: '01234567-89ab-cdef-0123-456789abcdef' } },
+      ];
+
+      const ids = collectLocalIdsByDatabase(rules, index);
+
+      expect([...ids.keys()]).toEqual(['01234567-89ab-cdef-0123-456789abcdef']);
+      expect([...ids.get('01234567-89ab-cdef-0123-456789abcdef')].sort()).toEqual([
+        'meeting.weekly',
+        'task.one',
+        'task.two',
+      ]);
+      expect(invalid).toEqual([path.join(workspace, 'broken.md')]);
+    });
+
+    test('collects ids by the rule whose where conditions match', () => {
+      const files = [
+        writeNote('log.standup', { type: 'meeting' }),
+        writeNote('log.errand', { tags: ['personal'] }),
+        writeNote('log.review', { tags: ['work', 'q1'] }),
+      ];
+      const rules = [
+        {
+          fnameTrigger: 'log.*',
+          where: { type: 'meeting' },
+          destination: { databaseId: '11111111111111111111111111111111' },
+        },
+        {
+          fnameTrigger: 'log.*',
+          where: { tags: { contains: 'work' } },
+          destination: { databaseId: '22222222222222222222222222222222' },
+        },
+      ];
+
+      const ids = collectLocalIdsByDatabase(rules, buildNoteIndex(files));
+
+      expect([...ids.get('11111111-1111-1111-1111-111111111111')]).toEqual(['log.standup']);
+      expect([...ids.get('22222222-2222-2222-2222-222222222222')]).toEqual(['log.review']);
+    });
+
+    test('finds pages whose dendron_id has no local note across result pages', async () => {
+      const page = (id, dendronId) => ({
+        id,
+        url: `https://www.notion.so/${id}`,
+        properties: {
+          Name: { type: 'title', title: [{ plain_text: `Page ${id}` }] },
+          ...(dendronId ? { dendron_id: { type: 'rich_text', rich_text: [{ plain_text: dendronId }] } } : {}),
+        },
+      });
+      const responses = [
+        { results: [page('a', 'task.one'), page('b', 'task.deleted')], has_more: true, next_cursor: 'next' },
+        { results: [page('c', null), page('d', 'task.renamed-away')], has_more: false },
+      ];
+      const cursors = [];
+      const client = {
+        databases: {
+          query: async ({ start_cursor: cursor }) => {
+            cursors.push(cursor);
+            return responses.shift();
+          },
+        },
+      };
+
+      const prunable = await findPrunablePages({ client, databaseId: 'db', localIds: new Set(['task.one']) });
+
+      expect(cursors).toEqual([undefined, 'next']);
+      expect(prunable).toEqual([
+        { id: 'b', url: 'https://www.notion.so/b', title: 'Page b', dendronId: 'task.deleted' },
+        { id: 'd', url: 'https://www.notion.so/d', title: 'Page d', dendronId: 'task.renamed-away' },
+      ]);
+    });
+
+    test('only reports pages unless archiving is confirmed', async () => {
+      const index = buildNoteIndex([writeNote('task.one', {})]);
+      const rules = [{ fnameTrigger: 'task.*', destination: { databaseId: '0123456789abcdef0123456789abcdef' } }];
+      const archived = [];
+      const client = {
+        databases: {
+          query: async () => ({
+            results: [
+              {
+                id: 'gone',
+                url: 'https://www.notion.so/gone',
+                properties: { dendron_id: { type: 'rich_text', rich_text: [{ plain_text: 'task.gone' }] } },
+              },
+            ],
+            has_more: false,
+          }),
+        },
+        pages: { update: async ({ page_id: pageId }) => archived.push(pageId) },
+      };
+      const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+      const prune = (archive) =>
+        prunePages({ client, rules, allRules: rules, noteIndex: index, archive, summary: { warnings: [] } });
+
+      try {
+        expect(await prune(undefined)).toBe(1);
+        expect(archived).toEqual([]);
+        expect(await prune(true)).toBe(1);
+        expect(archived).toEqual(['gone']);
+      } finally {
+        log.mockRestore();
+      }
+    });
+  });
+
+  describe('field transforms', () => {
+    const rule = {
+      fmToSync: [
+        { name: 'status', target: 'Status', map: { todo: 'Not started', done: 'Done' } },
+        { name: 'area', target: 'Area', case: 'upper', default: 'inbox' },
+        { target: 'Due', from: 'fnameDate' },
+        { target: 'Slug', from: 'fname', extract: '([^.]+)$' },
+      ],
+    };
+    const schema = {
+      propNameToType: {
+        Status: 'status',
+        Area: 'select',
+        Due: 'date',
+        Slug: 'rich_text',
+        dendron_id: 'rich_text',
+        last_synced: 'date',
+      },
+    };
+
+    test('builds properties from transformed and computed values', () => {
+      const properties = buildProperties({
+        rule,
+        frontmatter: { id: 'abc', status: 'todo' },
+        fname: 'task.2025.12.28.finalize-trip',
+        schema,
+        lastSyncedIso: '2026-01-01T00:00:00.000Z',
+      });
+
+      expect(properties.Status).toEqual({ status: { name: 'Not started' } });
+      expect(properties.Area).toEqual({ select: { name: 'INBOX' } });
+      expect(properties.Due).toEqual({ date: { start: '2025-12-28' } });
+      expect(properties.Slug.rich_text[0].text.content).toBe('finalize-trip');
+    });
+
+    test('pulls through value maps and leaves transformed or computed values alone', () => {
+      const frontmatter = { status: 'todo', area: 'work' };
+
+      const changed = applyRemoteProperties({
+        rule,
+        frontmatter,
+        properties: {
+          Status: { type: 'status', status: { name: 'Done' } },
+          Area: { type: 'select', select: { name: 'WORK' } },
+          Due: { type: 'date', date: { start: '2030-01-01' } },
+        },
+      });
+
+      expect(changed).toEqual(['status']);
+      expect(frontmatter).toEqual({ status: 'done', area: 'work' });
+    });
+
+    test('hashes the fname and the fmToSync settings', () => {
+      const frontmatter = { id: 'abc', status: 'todo' };
+      const base = noteContentHash(rule, frontmatter, 'body', 'task.2025.12.28.finalize-trip');
+      const edited = {
+        ...rule,
+        fmToSync: rule.fmToSync.map((option) => (option.name === 'area' ? { ...option, case: 'lower' } : option)),
+      };
+
+      expect(noteContentHash(rule, frontmatter, 'body', 'task.2025.12.29.finalize-trip')).not.toBe(base);
+      expect(noteContentHash(edited, frontmatter, 'body', 'task.2025.12.28.finalize-trip')).not.toBe(base);
+    });
+  });
+
+  describe('page titles', () => {
+    test('applies the rule title on create and update', async () => {
+      const filePath = writeNote('task.2025.12.28.finalize-trip', { title: 'Mapped title' }, '# Finalize the trip');
+      const requests = [];
+      const client = {
+        pages: {
+          create: async (request) => {
+            requests.push(request);
+            return { id: 'page-1', url: 'https://www.notion.so/page-1-0123456789abcdef0123456789abcdef' };
+          },
+          update: async (request) => {
+            requests.push(request);
+            return {};
+          },
+        },
+        blocks: {
+          children: { list: async () => ({ results: [], has_more: false }), append: async () => ({ results: [] }) },
+        },
+      };
+      const rule = {
+        fmToSync: [{ name: 'title', target: 'Name' }],
+        title: ['heading', 'humanized'],
+        destination: { databaseId: 'db' },
+      };
+      const schema = {
+        titlePropName: 'Name',
+        propNameToType: { Name: 'title', dendron_id: 'rich_text', last_synced: 'date' },
+      };
+      const sync = (existingPage) =>
+        syncNote({ client, filePath, rule, schema, existingPage, noteIndex: new Map(), dryRun: false });
+
+      await sync(null);
+      fs.writeFileSync(filePath, fs.readFileSync(filePath, 'utf8').replace('# Finalize the trip', 'No heading'), 'utf8');
+      await sync({ id: 'page-1', url: 'https://www.notion.so/page-1-0123456789abcdef0123456789abcdef', properties: {} });
+
+      const titles = requests.map((request) => request.properties.Name.title[0].text.content);
+      expect(titles).toEqual(['Finalize the trip', 'Finalize Trip']);
+    });
+
+    test('hashes the frontmatter fields and fname the title reads', () => {
+      const hash = (title, frontmatter, fname = 'task.trip') =>
+        noteContentHash({ fmToSync: [], title }, { id: 'a', ...frontmatter }, 'body', fname);
+
+      expect(hash('frontmatter', { title: 'Old' })).not.toBe(hash('frontmatter', { title: 'New' }));
+      expect(hash('{{status}}: {{fname}}', { status: 'todo' })).not.toBe(hash('{{status}}: {{fname}}', { status: 'done' }));
+      expect(hash(['heading', 'humanized'], {})).not.toBe(hash(['heading', 'humanized'], {}, 'task.renamed'));
+      expect(hash('heading', { title: 'Old' })).toBe(hash('heading', { title: 'New' }));
+    });
+  });
+
+  describe('relations', () => {
+    const projectsDb = 'fedcba98-7654-3210-fedc-ba9876543210';
+    const rule = { fmToSync: [{ name: 'projects', target: 'Projects' }], destination: { databaseId: 'db' } };
+    const schema = {
+      titlePropName: 'Name',
+      propNameToType: { Name: 'title', Projects: 'relation', dendron_id: 'rich_text', last_synced: 'date' },
+      columns: { Projects: { name: 'Projects', type: 'relation', database_id: projectsDb } },
+    };
+    const pageId = (digit) => `${digit.repeat(8)}-${digit.repeat(4)}-${digit.repeat(4)}-${digit.repeat(4)}-${digit.repeat(12)}`;
+    const noteIndex = () =>
+      new Map([
+        ['project.trip', { notionUrl: `https://www.notion.so/Trip-${'2'.repeat(32)}` }],
+        ['project.draft', { notionUrl: null }],
+      ]);
+
+    test('resolves page IDs, note fnames, wikilinks and titles in the related database', async () => {
+      const queries = [];
+      const client = {
+        databases: {
+          retrieve: async () => ({ properties: { Name: { type: 'title' } } }),
+          query: async (request) => {
+            queries.push(request);
+            const title = request.filter.title.equals;
+            if (title === 'Garden') return { results: [{ id: '3'.repeat(32) }] };
+            if (title === 'Shared') return { results: [{ id: '4'.repeat(32) }, { id: '5'.repeat(32) }] };
+            return { results: [] };
+          },
+        },
+      };
+
+      const result = await resolveRelationProperties({
+        client,
+        rule,
+        frontmatter: {
+          projects: ['1'.repeat(32), '[[Trip|project.trip]]', 'project.trip', 'Garden', 'project.draft', '[[project.gone]]', 'Shared', 'Nowhere'],
+        },
+        fname: 'task.one',
+        schema,
+        schemaCache: new Map(),
+        noteIndex: noteIndex(),
+      });
+
+      expect(result.relations).toEqual({ Projects: [pageId('1'), pageId('2'), pageId('3')] });
+      expect(result.unresolved).toEqual([
+        'Projects: project.draft (note not synced yet)',
+        'Projects: [[project.gone]] (no such note)',
+        'Projects: Shared (several pages have this title)',
+        'Projects: Nowhere (no page with this title)',
+      ]);
+      expect(queries[0]).toEqual({ database_id: projectsDb, filter: { property: 'Name', title: { equals: 'Garden' } }, page_size: 2 });
+    });
+
+    test('queries each title once per run', async () => {
+      const query = jest.fn(async () => ({ results: [{ id: '3'.repeat(32) }] }));
+      const client = { databases: { retrieve: async () => ({ properties: { Name: { type: 'title' } } }), query } };
+      const schemaCache = new Map();
+      const titleCache = new Map();
+
+      for (const fname of ['task.one', 'task.two']) {
+        const result = await resolveRelationProperties({
+          client,
+          rule,
+          frontmatter: { projects: ['Garden', 'Garden'] },
+          fname,
+          schema,
+          schemaCache,
+          titleCache,
+          noteIndex: noteIndex(),
+        });
+        expect(result.relations).toEqual({ Projects: [pageId('3')] });
+      }
+      expect(query).toHaveBeenCalledTimes(1);
+    });
+
+    test('pushes resolved page IDs and leaves unresolvable relations untouched', async () => {
+      const filePath = writeNote('task.one', { projects: 'project.trip' });
+      const requests = [];
+      const client = {
+        pages: {
+          create: async (request) => {
+            requests.push(request);
+            return { id: 'page-1', url: `https://www.notion.so/page-1-${'0'.repeat(32)}` };
+          },
+        },
+        blocks: { children: { append: async () => ({ results: [] }) } },
+      };
+
+      const result = await syncNote({ client, filePath, rule, schema, existingPage: null, noteIndex: noteIndex(), dryRun: false });
+      expect(requests[0].properties.Projects).toEqual({ relation: [{ id: pageId('2') }] });
+      expect(result.unresolvedRelations).toEqual([]);
+
+      const properties = buildProperties({
+        rule,
+        frontmatter: { id: 'abc', projects: 'project.draft' },
+        fname: 'task.one',
+        schema,
+        lastSyncedIso: '2026-01-01T00:00:00.000Z',
+        relations: { Projects: [] },
+      });
+      expect(properties.Projects).toBeUndefined();
+    });
+
+    test('pulls keep references to the same pages and write changed ones as fnames', () => {
+      const unchanged = { projects: ['project.trip', 'Garden'] };
+      const relationProperty = (...ids) => ({ Projects: { type: 'relation', relation: ids.map((id) => ({ id })) } });
+
+      expect(
+        applyRemoteProperties({
+          rule,
+          frontmatter: unchanged,
+          properties: relationProperty(pageId('2'), pageId('3')),
+          relations: { Projects: [pageId('2'), pageId('3')] },
+          noteIndex: noteIndex(),
+        })
+      ).toEqual([]);
+      expect(unchanged.projects).toEqual(['project.trip', 'Garden']);
+
+      const changed = { projects: ['project.trip', 'Garden'] };
+      expect(
+        applyRemoteProperties({
+          rule,
+          frontmatter: changed,
+          properties: relationProperty(pageId('2'), pageId('6')),
+          relations: { Projects: [pageId('2'), pageId('3')] },
+          noteIndex: noteIndex(),
+        })
+      ).toEqual(['projects']);
+      expect(changed.projects).toEqual(['project.trip', pageId('6')]);
+    });
+  });
+
+  describe('rule priorities', () => {
+    const makeRule = (ruleName, fnameTrigger, databaseId, extra = {}) => ({
+      ruleName,
+      fnameTrigger,
+      fmToSync: [],
+      destination: { databaseId },
+      ...extra,
+    });
+
+    test('orders matches by priority and applies the top rule match strategy', () => {
+      const fallback = makeRule('fallback', '*', '11111111111111111111111111111111');
+      const tasks = makeRule('tasks', 'task.*', '22222222222222222222222222222222', { priority: 10 });
+      const urgent = makeRule('urgent', 'task.*', '33333333333333333333333333333333', { priority: 10 });
+
+      expect(resolveNoteRules([fallback, tasks], 'task.one', {})).toEqual([tasks]);
+      expect(resolveNoteRules([fallback, tasks], 'note.one', {})).toEqual([fallback]);
+      expect(() => resolveNoteRules([fallback, tasks, urgent], 'task.one', {})).toThrow(
+        'Note matches multiple rules: tasks, urgent'
+      );
+      expect(resolveNoteRules([fallback, { ...tasks, matchStrategy: 'first' }, urgent], 'task.one', {})).toEqual([
+        { ...tasks, matchStrategy: 'first' },
+      ]);
+
+      // A rule picked with --rule settles a tie, but not between two picked rules
+      expect(resolveNoteRules([fallback, tasks, urgent], 'task.one', {}, [urgent])).toEqual([urgent]);
+      expect(resolveNoteRules([fallback, tasks, urgent], 'task.one', {}, [fallback, urgent])).toEqual([urgent]);
+      expect(() => resolveNoteRules([fallback, tasks, urgent], 'task.one', {}, [tasks, urgent])).toThrow(
+        'Note matches multiple rules: tasks, urgent'
+      );
+
+      const all = { ...tasks, matchStrategy: 'all' };
+      const sameDatabase = makeRule('same-db', 'task.*', '22222222-2222-2222-2222-222222222222');
+      expect(resolveNoteRules([fallback, sameDatabase, all], 'task.one', {})).toEqual([all, fallback]);
+    });
+
+    test('applies file-level matchStrategy and priority to listed rules', () => {
+      const rulesDir = path.join(workspace, 'rules');
+      fs.mkdirSync(rulesDir);
+      fs.writeFileSync(
+        path.join(rulesDir, 'journal.yaml'),
+        [
+          'matchStrategy: all',
+          'priority: 5',
+          'rules:',
+          '  - name: journal',
+          '    fnameTrigger: "journal.*"',
+          '    destination: { databaseId: db-journal }',
+          '  - name: archive',
+          '    fnameTrigger: "*"',
+          '    priority: 1',
+          '    destination: { databaseId: db-archive }',
+        ].join('\n'),
+        'utf8'
+      );
+
+      const rules = loadSyncRules(rulesDir);
+
+      expect(rules.map(({ ruleName, matchStrategy, priority }) => ({ ruleName, matchStrategy, priority }))).toEqual([
+        { ruleName: 'journal', matchStrategy: 'all', priority: 5 },
+        { ruleName: 'archive', matchStrategy: 'all', priority: 1 },
+      ]);
+
+      fs.writeFileSync(path.join(rulesDir, 'journal.yaml'), 'fnameTrigger: "*"\nmatchStrategy: some\ndestination: { databaseId: db }', 'utf8');
+      expect(() => loadSyncRules(rulesDir)).toThrow('invalid matchStrategy');
+    });
+
+    test('tracks each destination page separately with matchStrategy all', async () => {
+      const rulesDir = path.join(workspace, 'rules');
+      fs.mkdirSync(rulesDir);
+      // Unnamed rules in one file all get the file name as their rule name
+      fs.writeFileSync(
+        path.join(rulesDir, 'tasks.yaml'),
+        [
+          'matchStrategy: all',
+          'rules:',
+          '  - fnameTrigger: "journal.*"',
+          '    priority: 5',
+          '    destination: { databaseId: "11111111111111111111111111111111" }',
+          '  - fnameTrigger: "*"',
+          '    destination: { databaseId: "22222222222222222222222222222222" }',
+          '  - fnameTrigger: "journal.*"',
+          '    destination: { databaseId: "33333333333333333333333333333333" }',
+        ].join('\n'),
+        'utf8'
+      );
+      const filePath = writeNote('journal.today', {}, 'Entry');
+      const created = [];
+      const client = {
+        databases: {
+          retrieve: async () => ({
+            properties: {
+              Name: { type: 'title' },
+              dendron_id: { type: 'rich_text' },
+              last_synced: { type: 'date' },
+            },
+          }),
+          query: async () => ({ results: [] }),
+        },
+        pages: {
+          create: async ({ parent }) => {
+            const id = `page-${created.length + 1}`;
+            created.push(parent.database_id);
+            return { id, url: `https://www.notion.so/${id}` };
+          },
+        },
+        blocks: { children: { append: async () => ({ results: [] }) } },
+      };
+      const rules = loadSyncRules(rulesDir);
+      expect(rules.map((rule) => rule.ruleName)).toEqual(['tasks', 'tasks', 'tasks']);
+      const summary = { matched: 0, created: 0, updated: 0, unchanged: 0, skipped: 0, errors: [], warnings: [] };
+      const log = console.log;
+      console.log = () => {};
+      try {
+        await syncNoteFile({
+          client,
+          filePath,
+          rules,
+          schemaCache: new Map(),
+          noteIndex: new Map(),
+          options: { dryRun: false, direction: 'both' },
+          summary,
+        });
+      } finally {
+        console.log = log;
+      }
+
+      expect(summary.errors).toEqual([]);
+      expect(summary).toMatchObject({ matched: 1, created: 3 });
+      expect(created).toEqual([
+        '11111111111111111111111111111111',
+        '22222222222222222222222222222222',
+        '33333333333333333333333333333333',
+      ]);
+      const written = parseFrontmatter(fs.readFileSync(filePath, 'utf8')).data;
+      expect(written.notion_url).toBe('https://www.notion.so/page-1');
+      const tracked = (url) => ({ notion_url: url, last_synced: expect.any(String), sync_hash: expect.any(String) });
+      expect(written.notion_pages).toEqual({
+        '22222222-2222-2222-2222-222222222222': tracked('https://www.notion.so/page-2'),
+        '33333333-3333-3333-3333-333333333333': tracked('https://www.notion.so/page-3'),
+      });
+    });
+  });
+
+  describe('watch mode', () => {
+    test('debounces changes into one flush and never runs flushes concurrently', async () => {
+      jest.useFakeTimers();
+      try {
+        const batches = [];
+        let release;
+        const firstFlushDone = new Promise((resolve) => {
+          release = resolve;
+        });
+        const queue = createChangeQueue({
+          delay: 100,
+          onFlush: async (paths) => {
+            batches.push(paths);
+            if (batches.length === 1) {
+              await firstFlushDone;
+            }
+          },
+        });
+
+        queue.add('a.md');
+        jest.advanceTimersByTime(50);
+        queue.add('b.md');
+        queue.add('a.md');
+        jest.advanceTimersByTime(100);
+        expect(batches).toEqual([['a.md', 'b.md']]);
+
+        queue.add('c.md');
+        jest.advanceTimersByTime(100);
+        expect(batches).toHaveLength(1);
+
+        release();
+        await queue.flush();
+        expect(batches).toEqual([['a.md', 'b.md'], ['c.md']]);
+        queue.close();
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    test('ignores writes recorded after syncing a note', () => {
+      const filePath = writeNote('task.watched', {}, 'Body');
+      const tracker = createContentTracker();
+      tracker.record(filePath);
+      expect(tracker.hasChanged(filePath)).toBe(false);
+
+      fs.appendFileSync(filePath, '\nEdited', 'utf8');
+      expect(tracker.hasChanged(filePath)).toBe(true);
+
+      // Sync rewrites the frontmatter, then records the result as its own write
+      writeNote('task.watched', { notion_url: 'https://www.notion.so/page', last_synced: '2026-01-01 10:00' }, 'Body\nEdited');
+      tracker.record(filePath);
+      expect(tracker.hasChanged(filePath)).toBe(false);
+
+      fs.unlinkSync(filePath);
+      expect(tracker.hasChanged(filePath)).toBe(false);
+    });
+
+    test('only watches markdown notes outside ignored directories', () => {
+      expect(isWatchedNotePath(path.join('notes', 'task.one.md'))).toBe(true);
+      expect(isWatchedNotePath(path.join('notes', 'task.one.md.swp'))).toBe(false);
+      expect(isWatchedNotePath(path.join('node_modules', 'pkg', 'README.md'))).toBe(false);
+      expect(isWatchedNotePath(path.join('syncRules', 'task.md'))).toBe(false);
+    });
+  });
+});
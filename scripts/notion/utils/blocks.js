@@ -0,0 +1,390 @@
+/**
+ * Notion API limits for appending block children
+ */
+const MAX_CHILDREN_PER_REQUEST = 100;
+const MAX_BLOCKS_PER_REQUEST = 1000;
+const MAX_INLINE_NESTING = 2;
+const MAX_PAYLOAD_CHARS = 400000;
+
+function getChildren(block) {
+  const value = block && block[block.type];
+  return value && Array.isArray(value.children) ? value.children : [];
+}
+
+/**
+ * Count a block and all of its nested children
+ * @param {Object} block - Notion block object
+ * @returns {number} Total number of blocks
+ */
+function countBlocks(block) {
+  return 1 + getChildren(block).reduce((total, child) => total + countBlocks(child), 0);
+}
+
+/**
+ * Check whether a block's children can be sent in the same request as the block
+ * @param {Object} block - Notion block object
+ * @param {number} levels - Levels of nesting still allowed below this block
+ * @returns {boolean}
+ */
+function fitsInline(block, levels = MAX_INLINE_NESTING) {
+  const children = getChildren(block);
+  if (!children.length) return true;
+  if (levels <= 0 || children.length > MAX_CHILDREN_PER_REQUEST) return false;
+  return children.every((child) => fitsInline(child, levels - 1));
+}
+
+/**
+ * Split a block into the payload sent now and children appended after it exists.
+ * Tables must be created with their rows, so only rows beyond the first
+ * request's worth are deferred.
+ * @param {Object} block - Notion block object
+ * @returns {{payload: Object, deferred: Array|null}}
+ */
+function splitDeferredChildren(block) {
+  const children = getChildren(block);
+  if (!children.length || (fitsInline(block) && countBlocks(block) <= MAX_BLOCKS_PER_REQUEST)) {
+    return { payload: block, deferred: null };
+  }
+
+  const { children: omitted, ...value } = block[block.type];
+  if (block.type === 'table') {
+    return {
+      payload: { ...block, table: { ...value, children: children.slice(0, MAX_CHILDREN_PER_REQUEST) } },
+      deferred: children.slice(MAX_CHILDREN_PER_REQUEST),
+    };
+  }
+
+  return {
+    payload: { ...block, [block.type]: value },
+    deferred: children,
+  };
+}
+
+/**
+ * Group top-level blocks into request-sized chunks
+ * @param {Array} entries - Array of { payload, deferred }
+ * @returns {Array<Array>} Chunks of entries
+ */
+function chunkEntries(entries) {
+  const chunks = [];
+  let current = [];
+  let blockCount = 0;
+  let payloadChars = 0;
+
+  for (const entry of entries) {
+    const entryBlocks = countBlocks(entry.payload);
+    const entryChars = JSON.stringify(entry.payload).length;
+    const full =
+      current.length >= MAX_CHILDREN_PER_REQUEST ||
+      blockCount + entryBlocks > MAX_BLOCKS_PER_REQUEST ||
+      payloadChars + entryChars > MAX_PAYLOAD_CHARS;
+
+    if (current.length && full) {
+      chunks.push(current);
+      current = [];
+      blockCount = 0;
+      payloadChars = 0;
+    }
+
+    current.push(entry);
+    blockCount += entryBlocks;
+    payloadChars += entryChars;
+  }
+
+  if (current.length) {
+    chunks.push(current);
+  }
+  return chunks;
+}
+
+/**
+ * Append blocks to a page or block, respecting Notion's per-request child count,
+ * total block count, payload size and nesting limits. Children nested deeper than
+ * a single request allows are appended to their parent once it has been created.
+ * @param {Object} client - Notion API client
+ * @param {string} parentId - Page or block ID to append to
+ * @param {Array} blocks - Notion block objects
+ * @param {Object} options
+ * @param {string} [options.after] - Insert after this child block instead of at the end
+ * @returns {Promise<Array>} Created top-level block objects
+ */
+async function appendBlocksInChunks(client, parentId, blocks, options = {}) {
+  if (!blocks || !blocks.length) {
+    return [];
+  }
+
+  const created = [];
+  const chunks = chunkEntries(blocks.map(splitDeferredChildren));
+  let after = options.after;
+
+  for (const chunk of chunks) {
+    const request = {
+      block_id: parentId,
+      children: chunk.map((entry) => entry.payload),
+    };
+    if (after) {
+      request.after = after;
+    }
+    const response = await client.blocks.children.append(request);
+    const results = response && Array.isArray(response.results) ? response.results : [];
+    created.push(...results);
+    // Later chunks go after this one so the blocks keep their order
+    if (after && results.length) {
+      after = results[results.length - 1].id;
+    }
+
+    for (let i = 0; i < chunk.length; i += 1) {
+      if (!chunk[i].deferred) continue;
+      const createdBlock = results[i];
+      if (!createdBlock || !createdBlock.id) {
+        throw new Error('Unable to append nested blocks: parent block ID missing from Notion response.');
+      }
+      await appendBlocksInChunks(client, createdBlock.id, chunk[i].deferred);
+    }
+  }
+
+  return created;
+}
+
+/**
+ * Split blocks into the children a create request can carry and the rest, which
+ * are appended with appendBlocksInChunks once the parent exists. Only leading
+ * blocks from the first chunk that need no deferred children are sent up front,
+ * since the create response does not return their block IDs.
+ * @param {Array} blocks - Notion block objects
+ * @returns {{initial: Array, remaining: Array}}
+ */
+function splitInitialChildren(blocks) {
+  if (!blocks || !blocks.length) {
+    return { initial: [], remaining: [] };
+  }
+
+  const [first] = chunkEntries(blocks.map(splitDeferredChildren));
+  let count = 0;
+  while (count < first.length && !first[count].deferred) {
+    count += 1;
+  }
+  return { initial: blocks.slice(0, count), remaining: blocks.slice(count) };
+}
+
+// Block types whose content can be changed with blocks.update
+const UPDATABLE_TYPES = new Set([
+  'paragraph',
+  'heading_1',
+  'heading_2',
+  'heading_3',
+  'bulleted_list_item',
+  'numbered_list_item',
+  'to_do',
+  'toggle',
+  'quote',
+  'callout',
+  'code',
+  'equation',
+  'table',
+  'table_row',
+]);
+
+function canonicalAnnotations(annotations) {
+  if (!annotations) return '';
+  const flags = ['bold', 'italic', 'strikethrough', 'underline', 'code'].filter((flag) => annotations[flag]);
+  if (annotations.color && annotations.color !== 'default') {
+    flags.push(annotations.color);
+  }
+  return flags.join(',');
+}
+
+/**
+ * Reduce rich_text from a request payload or an API response to the parts markdown
+ * can express, merging adjacent runs with the same formatting
+ */
+function canonicalRichText(richText) {
+  const runs = [];
+  for (const item of richText || []) {
+    let run;
+    if (item.type === 'equation') {
+      run = { type: 'equation', value: item.equation?.expression || '' };
+    } else if (item.type === 'mention') {
+      const mention = item.mention || {};
+      const value = mention.page
+        ? String(mention.page.id).replace(/-/g, '').toLowerCase()
+        : JSON.stringify(mention);
+      run = { type: 'mention', value };
+    } else {
+      run = { type: 'text', value: item.text?.content ?? item.plain_text ?? '', link: item.text?.link?.url || null };
+    }
+    run.annotations = canonicalAnnotations(item.annotations);
+
+    const previous = runs[runs.length - 1];
+    if (
+      previous &&
+      run.type === 'text' &&
+      previous.type === 'text' &&
+      previous.link === run.link &&
+      previous.annotations === run.annotations
+    ) {
+      previous.value += run.value;
+    } else {
+      runs.push(run);
+    }
+  }
+  return runs.filter((run) => !(run.type === 'text' && run.value === ''));
+}
+
+/**
+ * Comparable representation of a block's own content (children excluded), equal for
+ * a block payload and the block Notion returns after creating it
+ * @param {Object} block - Notion block payload or API block object
+ * @returns {string}
+ */
+function blockSignature(block) {
+  const value = block[block.type] || {};
+  const signature = { type: block.type };
+  if (Array.isArray(value.rich_text)) {
+    signature.richText = canonicalRichText(value.rich_text);
+  }
+
+  switch (block.type) {
+    case 'to_do':
+      signature.checked = Boolean(value.checked);
+      break;
+    case 'code':
+      signature.language = value.language || 'plain text';
+      break;
+    case 'callout':
+      signature.icon = value.icon && value.icon.type === 'emoji' ? value.icon.emoji : null;
+      signature.color = value.color || 'default';
+      break;
+    case 'equation':
+      signature.expression = value.expression || '';
+      break;
+    case 'table':
+      signature.width = value.table_width;
+      signature.headers = [Boolean(value.has_column_header), Boolean(value.has_row_header)];
+      break;
+    case 'table_row':
+      signature.cells = (value.cells || []).map(canonicalRichText);
+      break;
+    default:
+      break;
+  }
+  return JSON.stringify(signature);
+}
+
+function canUpdateInPlace(existing, block) {
+  if (existing.type !== block.type || !UPDATABLE_TYPES.has(block.type)) {
+    return false;
+  }
+  // Table width is fixed once the table exists
+  return block.type !== 'table' || existing.table.table_width === block.table.table_width;
+}
+
+/**
+ * Build the blocks.update payload that gives an existing block a new block's content
+ * @param {Object} block - Notion block payload
+ * @returns {Object}
+ */
+function blockUpdatePayload(block) {
+  const { children, ...value } = block[block.type];
+  if (block.type === 'table') {
+    return { table: { has_column_header: value.has_column_header, has_row_header: value.has_row_header } };
+  }
+  return { [block.type]: value };
+}
+
+/**
+ * Diff existing child blocks against the blocks they should become.
+ *
+ * Returns operations in final document order: `keep` and `update` reuse an existing
+ * block (updating its content in place), `insert` creates a new block after the
+ * previous kept one, and `archive` removes an existing block. The alignment
+ * minimises API calls. Notion can only insert after an existing block, so new blocks
+ * are never placed before the first kept one; when that would be needed, the
+ * remaining blocks are archived and re-created instead.
+ *
+ * @param {Array} existing - Child blocks from the API
+ * @param {Array} blocks - Notion block payloads
+ * @param {Object} options
+ * @param {boolean} [options.anchored] - A block before `existing` can be inserted after,
+ *   so new blocks may go before the first kept one
+ * @returns {Array<{op: string, existing?: Object, block?: Object}>}
+ */
+function diffBlocks(existing, blocks, options = {}) {
+  const n = existing.length;
+  const m = blocks.length;
+  const oldSignatures = existing.map(blockSignature);
+  const newSignatures = blocks.map(blockSignature);
+  const width = m + 1;
+
+  // cost[anchored][i * width + j]: API calls to turn existing[i:] into blocks[j:],
+  // where `anchored` means an earlier existing block was kept to insert after
+  const cost = [new Int32Array((n + 1) * width), new Int32Array((n + 1) * width)];
+  const rewriteCost = (i, j) => n - i + (m - j);
+  const reuseCost = (i, j) => {
+    if (oldSignatures[i] === newSignatures[j]) return 0;
+    return canUpdateInPlace(existing[i], blocks[j]) ? 1 : Infinity;
+  };
+
+  for (let i = n; i >= 0; i -= 1) {
+    for (let j = m; j >= 0; j -= 1) {
+      for (const anchored of [0, 1]) {
+        let best;
+        if (i === n || j === m) {
+          best = rewriteCost(i, j);
+        } else {
+          best = 1 + cost[anchored][(i + 1) * width + j];
+          best = Math.min(best, reuseCost(i, j) + cost[1][(i + 1) * width + j + 1]);
+          best = Math.min(best, anchored ? 1 + cost[1][i * width + j + 1] : rewriteCost(i, j));
+        }
+        cost[anchored][i * width + j] = best;
+      }
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  let anchored = options.anchored ? 1 : 0;
+  while (i < n || j < m) {
+    const current = cost[anchored][i * width + j];
+    if (i < n && j < m) {
+      const reuse = reuseCost(i, j);
+      if (reuse + cost[1][(i + 1) * width + j + 1] === current) {
+        ops.push({ op: reuse === 0 ? 'keep' : 'update', existing: existing[i], block: blocks[j] });
+        i += 1;
+        j += 1;
+        anchored = 1;
+        continue;
+      }
+      if (1 + cost[anchored][(i + 1) * width + j] === current) {
+        ops.push({ op: 'archive', existing: existing[i] });
+        i += 1;
+        continue;
+      }
+      if (anchored && 1 + cost[1][i * width + j + 1] === current) {
+        ops.push({ op: 'insert', block: blocks[j] });
+        j += 1;
+        continue;
+      }
+    }
+
+    existing.slice(i).forEach((block) => ops.push({ op: 'archive', existing: block }));
+    blocks.slice(j).forEach((block) => ops.push({ op: 'insert', block }));
+    break;
+  }
+
+  return ops;
+}
+
+module.exports = {
+  MAX_CHILDREN_PER_REQUEST,
+  MAX_BLOCKS_PER_REQUEST,
+  countBlocks,
+  fitsInline,
+  splitDeferredChildren,
+  splitInitialChildren,
+  appendBlocksInChunks,
+  blockSignature,
+  blockUpdatePayload,
+  diffBlocks,
+};
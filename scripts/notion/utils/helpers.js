@@ -2,6 +2,7 @@ const fs = require('fs');
 const path = require('path');
 const dotenv = require('dotenv');
 const os = require('os');
+const { textToRichText, splitOversizedBlocks } = require('./markdown');
 const homeDir = os.homedir();
 
 /**
@@ -163,7 +164,8 @@ function parseBodyInput(bodyFlagValue) {
 }
 
 /**
- * Convert markdown text to Notion paragraph blocks
+ * Convert markdown text to Notion paragraph blocks, one per line.
+ * Lines longer than the rich text limit are split across runs, not truncated.
  * @param {string} markdown - Markdown text
  * @returns {Array} Array of Notion paragraph block objects
  */
@@ -171,18 +173,13 @@ function markdownToParagraphBlocks(markdown) {
   if (!markdown) return [];
 
   const lines = markdown.split(/\r?\n/);
-  return lines.map((line) => ({
+  return splitOversizedBlocks(lines.map((line) => ({
     object: 'block',
     type: 'paragraph',
     paragraph: {
-      rich_text: [
-        {
-          type: 'text',
-          text: { content: line.substring(0, 2000) },
-        },
-      ],
+      rich_text: textToRichText(line),
     },
-  }));
+  })));
 }
 
 /**
@@ -19,14 +19,52 @@ const {
   parseFrontmatter,
   serializeFrontmatter,
   matchFnameTrigger,
+  WHERE_OPERATORS,
+  validateWhereConditions,
+  matchWhereConditions,
+  FIELD_SOURCES,
+  validateFieldTransform,
+  formatDateValue,
+  transformFieldValue,
+  reverseFieldValue,
+  TITLE_SOURCES,
+  validateTitleOption,
+  resolveNoteTitle,
+  titleFields,
+  isEmptyValue,
   parseMultiSelectValues,
   mergeMultiSelectValues,
   formatLocalDateTime,
+  parseLocalDateTime,
+  computeContentHash,
+  hasConflictMarkers,
+  mergeWithConflictMarkers,
   extractNotionIdFromUrl,
   ensureDirectoryExists,
   collectMarkdownFiles,
 } = require('./sync');
 
+const {
+  CALLOUT_ADMONITIONS,
+  DEFAULT_CALLOUT_COLOR,
+  DIVIDER_RE,
+  ESCAPABLE_RE,
+  normalizeCodeLanguage,
+  textToRichText,
+  parseInlineMarkdown,
+  parseWikilinkTarget,
+  markdownToBlocks,
+} = require('./markdown');
+
+const {
+  countBlocks,
+  splitInitialChildren,
+  appendBlocksInChunks,
+  blockSignature,
+  blockUpdatePayload,
+  diffBlocks,
+} = require('./blocks');
+
 module.exports = {
   // Helpers
   loadEnv,
@@ -38,13 +76,49 @@ module.exports = {
   parseFrontmatter,
   serializeFrontmatter,
   matchFnameTrigger,
+  WHERE_OPERATORS,
+  validateWhereConditions,
+  matchWhereConditions,
+  FIELD_SOURCES,
+  validateFieldTransform,
+  formatDateValue,
+  transformFieldValue,
+  reverseFieldValue,
+  TITLE_SOURCES,
+  validateTitleOption,
+  resolveNoteTitle,
+  titleFields,
+  isEmptyValue,
   parseMultiSelectValues,
   mergeMultiSelectValues,
   formatLocalDateTime,
+  parseLocalDateTime,
+  computeContentHash,
+  hasConflictMarkers,
+  mergeWithConflictMarkers,
   extractNotionIdFromUrl,
   ensureDirectoryExists,
   collectMarkdownFiles,
 
+  // Markdown conversion
+  CALLOUT_ADMONITIONS,
+  DEFAULT_CALLOUT_COLOR,
+  DIVIDER_RE,
+  ESCAPABLE_RE,
+  normalizeCodeLanguage,
+  textToRichText,
+  parseInlineMarkdown,
+  parseWikilinkTarget,
+  markdownToBlocks,
+
+  // Block uploads
+  countBlocks,
+  splitInitialChildren,
+  appendBlocksInChunks,
+  blockSignature,
+  blockUpdatePayload,
+  diffBlocks,
+
   // Filter parser
   parseFilter,
   tokenize,
@@ -0,0 +1,901 @@
+/**
+ * Languages accepted by the Notion API for code blocks
+ */
+const NOTION_CODE_LANGUAGES = new Set([
+  'abap', 'agda', 'arduino', 'assembly', 'bash', 'basic', 'bnf', 'c', 'c#', 'c++', 'clojure',
+  'coffeescript', 'coq', 'css', 'dart', 'dhall', 'diff', 'docker', 'ebnf', 'elixir', 'elm',
+  'erlang', 'f#', 'flow', 'fortran', 'gherkin', 'glsl', 'go', 'graphql', 'groovy', 'haskell',
+  'html', 'idris', 'java', 'javascript', 'json', 'julia', 'kotlin', 'latex', 'less', 'lisp',
+  'livescript', 'llvm ir', 'lua', 'makefile', 'markdown', 'markup', 'matlab', 'mathematica',
+  'mermaid', 'nix', 'notion formula', 'objective-c', 'ocaml', 'pascal', 'perl', 'php',
+  'plain text', 'powershell', 'prolog', 'protobuf', 'purescript', 'python', 'r', 'racket',
+  'reason', 'ruby', 'rust', 'sass', 'scala', 'scheme', 'scss', 'shell', 'solidity', 'sql',
+  'swift', 'toml', 'typescript', 'vb.net', 'verilog', 'vhdl', 'visual basic', 'webassembly',
+  'xml', 'yaml', 'java/c/c++/c#',
+]);
+
+/**
+ * Common fence info strings mapped to their Notion language name
+ */
+const CODE_LANGUAGE_ALIASES = {
+  js: 'javascript',
+  jsx: 'javascript',
+  mjs: 'javascript',
+  cjs: 'javascript',
+  ts: 'typescript',
+  tsx: 'typescript',
+  sh: 'shell',
+  zsh: 'shell',
+  console: 'shell',
+  shellscript: 'shell',
+  py: 'python',
+  rb: 'ruby',
+  rs: 'rust',
+  golang: 'go',
+  kt: 'kotlin',
+  yml: 'yaml',
+  md: 'markdown',
+  cs: 'c#',
+  csharp: 'c#',
+  cpp: 'c++',
+  fsharp: 'f#',
+  objc: 'objective-c',
+  dockerfile: 'docker',
+  make: 'makefile',
+  tex: 'latex',
+  proto: 'protobuf',
+  hs: 'haskell',
+  ex: 'elixir',
+  exs: 'elixir',
+  clj: 'clojure',
+  ps1: 'powershell',
+  pwsh: 'powershell',
+  text: 'plain text',
+  txt: 'plain text',
+  plaintext: 'plain text',
+};
+
+/**
+ * Notion API limits for rich text content
+ */
+const MAX_TEXT_LENGTH = 2000;
+const MAX_RICH_TEXT_ITEMS = 100;
+
+/**
+ * GitHub-style admonitions and the callout icon and color each maps to
+ */
+const CALLOUT_ADMONITIONS = {
+  NOTE: { emoji: 'ℹ️', color: 'blue_background' },
+  TIP: { emoji: '💡', color: 'green_background' },
+  IMPORTANT: { emoji: '❗', color: 'purple_background' },
+  WARNING: { emoji: '⚠️', color: 'yellow_background' },
+  CAUTION: { emoji: '🛑', color: 'red_background' },
+};
+const DEFAULT_CALLOUT_COLOR = 'gray_background';
+
+const HEADING_RE = /^(#{1,6})(?:\s+(.*?))?\s*$/;
+const DIVIDER_RE = /^(?:(?:-[ \t]*){3,}|(?:\*[ \t]*){3,}|(?:_[ \t]*){3,})$/;
+const FENCE_RE = /^(`{3,}|~{3,})(.*)$/;
+const BLOCK_EQUATION_RE = /^\$\$([\s\S]*?)\$\$$/;
+const TODO_RE = /^[-*+]\s+\[([ xX])\](?:\s+(.*))?$/;
+const BULLET_RE = /^[-*+](?:\s+(.*))?$/;
+const NUMBERED_RE = /^\d{1,9}[.)](?:\s+(.*))?$/;
+const TOGGLE_RE = /^▸(?:\s+(.*))?$/;
+const QUOTE_RE = /^>\s?(.*)$/;
+const ADMONITION_RE = /^\[!([a-z]+)\][ \t]*(.*)$/i;
+// Text-style symbols such as © or ™ only count as emoji when followed by U+FE0F
+const EMOJI_PREFIX_RE = /^((?:\p{Emoji_Presentation}|\p{Extended_Pictographic}\uFE0F)(?:\uFE0F|\p{Emoji_Modifier}|\u200D\p{Extended_Pictographic})*)\uFE0F?(?:\s+([\s\S]*))?$/u;
+const TABLE_DELIMITER_RE = /^\|?\s*:?-+:?\s*(?:\|\s*:?-+:?\s*)*\|?$/;
+
+/**
+ * Resolve a fence info string to a Notion code language
+ * @param {string} info - Text after the opening fence (e.g. "js", "python title=x")
+ * @returns {string} Notion language name, "plain text" when unknown
+ */
+function normalizeCodeLanguage(info) {
+  const raw = String(info || '').trim().toLowerCase();
+  if (!raw) return 'plain text';
+  if (NOTION_CODE_LANGUAGES.has(raw)) return raw;
+
+  const first = raw.split(/\s+/)[0];
+  if (NOTION_CODE_LANGUAGES.has(first)) return first;
+  return CODE_LANGUAGE_ALIASES[first] || 'plain text';
+}
+
+/**
+ * Split a string into pieces no longer than `size`, never splitting a surrogate pair
+ * @param {string} content - Text to split
+ * @param {number} size - Maximum piece length
+ * @returns {Array<string>} Text pieces
+ */
+function splitText(content, size = MAX_TEXT_LENGTH) {
+  const parts = [];
+  let start = 0;
+  while (start < content.length) {
+    let end = Math.min(start + size, content.length);
+    const last = content.charCodeAt(end - 1);
+    if (end < content.length && last >= 0xd800 && last <= 0xdbff) {
+      end -= 1;
+    }
+    parts.push(content.slice(start, end));
+    start = end;
+  }
+  return parts;
+}
+
+/**
+ * Split text runs longer than the Notion content limit into consecutive runs
+ * with the same formatting
+ * @param {Array} richText - Notion rich_text array
+ * @returns {Array} rich_text array where every text run fits the limit
+ */
+function splitRichTextRuns(richText) {
+  return richText.flatMap((run) => {
+    if (run.type !== 'text' || run.text.content.length <= MAX_TEXT_LENGTH) {
+      return [run];
+    }
+    return splitText(run.text.content).map((content) => ({
+      ...run,
+      text: { ...run.text, content },
+    }));
+  });
+}
+
+/**
+ * Split blocks whose rich_text exceeds the per-array item limit into
+ * consecutive blocks of the same type. Children stay with the last piece.
+ * @param {Array} blocks - Notion block objects
+ * @returns {Array} Blocks that fit the rich_text limits
+ */
+function splitOversizedBlocks(blocks) {
+  return blocks.flatMap((block) => {
+    const value = block[block.type];
+    if (value.children) {
+      value.children = splitOversizedBlocks(value.children);
+    }
+    if (!value.rich_text || value.rich_text.length <= MAX_RICH_TEXT_ITEMS) {
+      return [block];
+    }
+
+    const { children, rich_text: richText, ...rest } = value;
+    const pieces = [];
+    for (let i = 0; i < richText.length; i += MAX_RICH_TEXT_ITEMS) {
+      pieces.push(createBlock(block.type, { ...rest, rich_text: richText.slice(i, i + MAX_RICH_TEXT_ITEMS) }));
+    }
+    if (children) {
+      pieces[pieces.length - 1][block.type].children = children;
+    }
+    return pieces;
+  });
+}
+
+/**
+ * Convert literal text into Notion rich_text objects, without inline parsing
+ * @param {string} text - Literal text
+ * @returns {Array} Array of Notion rich_text objects
+ */
+function textToRichText(text) {
+  if (!text) return [];
+  return splitRichTextRuns([{ type: 'text', text: { content: text } }]);
+}
+
+const ESCAPABLE_RE = /[\\`*_~[\]()#>!|$.+-]/;
+const LINK_URL_RE = /^(https?:|mailto:)/i;
+
+/**
+ * Find the end of a bracketed span, honouring nesting and escapes
+ * @returns {number} Index of the closing character or -1
+ */
+function findClosingBracket(text, start, open, close) {
+  let depth = 0;
+  for (let i = start; i < text.length; i += 1) {
+    if (text[i] === '\\') {
+      i += 1;
+    } else if (text[i] === open) {
+      depth += 1;
+    } else if (text[i] === close) {
+      depth -= 1;
+      if (depth === 0) return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Find the closing emphasis delimiter for an opening delimiter
+ * @param {string} text - Inline text
+ * @param {number} start - Index just past the opening delimiter
+ * @param {string} delim - Delimiter (`*`, `_`, `**`, `__`, `~~`)
+ * @returns {number} Index of the closing delimiter or -1
+ */
+function findClosingDelimiter(text, start, delim) {
+  const char = delim[0];
+  let i = start;
+
+  while (i < text.length) {
+    if (text[i] === '\\') {
+      i += 2;
+      continue;
+    }
+    if (text[i] === '`') {
+      const run = text.slice(i).match(/^`+/)[0];
+      const end = text.indexOf(run, i + run.length);
+      i = end === -1 ? i + run.length : end + run.length;
+      continue;
+    }
+    if (text[i] !== char) {
+      i += 1;
+      continue;
+    }
+
+    let runEnd = i;
+    while (runEnd < text.length && text[runEnd] === char) runEnd += 1;
+    const runLength = runEnd - i;
+    const closeAt = runEnd - delim.length;
+    const fits = runLength === delim.length || (char !== '~' && runLength >= 3);
+    const before = text[closeAt - 1];
+    const after = text[runEnd];
+
+    if (fits && closeAt > start && before && !/\s/.test(before)) {
+      if (char !== '_' || !after || !/[a-z0-9]/i.test(after)) {
+        return closeAt;
+      }
+    }
+    i = runEnd;
+  }
+
+  return -1;
+}
+
+function sameFormatting(a, b) {
+  if (a.type !== 'text' || b.type !== 'text') return false;
+  const keys = ['bold', 'italic', 'strikethrough', 'code'];
+  return keys.every((key) => Boolean(a.annotations[key]) === Boolean(b.annotations[key])) && a.link === b.link;
+}
+
+/**
+ * Set the non-default annotations on a rich_text object
+ */
+function applyAnnotations(run, annotations) {
+  const active = Object.keys(annotations).filter((key) => annotations[key]);
+  if (active.length) {
+    run.annotations = {};
+    for (const key of active) {
+      run.annotations[key] = true;
+    }
+  }
+  return run;
+}
+
+/**
+ * Build a Notion text rich_text object, omitting default annotations
+ */
+function buildTextRun(content, annotations, link) {
+  const run = { type: 'text', text: { content } };
+  if (link) {
+    run.text.link = { url: link };
+  }
+  return applyAnnotations(run, annotations);
+}
+
+/**
+ * Build a rich_text object from an inline segment
+ * @param {{type: string, content: string, annotations: Object, link: string|null}} segment
+ * @returns {Object} Notion rich_text object
+ */
+function buildRichTextRun(segment) {
+  if (segment.type === 'mention') {
+    return applyAnnotations({ type: 'mention', mention: { page: { id: segment.pageId } } }, segment.annotations);
+  }
+  if (segment.type === 'equation') {
+    return applyAnnotations({ type: 'equation', equation: { expression: segment.content } }, segment.annotations);
+  }
+  return buildTextRun(segment.content, segment.annotations, segment.link);
+}
+
+/**
+ * Parse the inside of a Dendron wikilink (`label|fname#anchor`, `dendron://vault/fname`)
+ * @param {string} raw - Text between `[[` and `]]`
+ * @returns {{fname: string, label: string|null, anchor: string|null} | null}
+ */
+function parseWikilinkTarget(raw) {
+  if (!raw || typeof raw !== 'string') return null;
+
+  let label = null;
+  let target = raw.trim();
+  const pipe = target.indexOf('|');
+  if (pipe !== -1) {
+    label = target.slice(0, pipe).trim() || null;
+    target = target.slice(pipe + 1).trim();
+  }
+
+  target = target.replace(/^dendron:\/\/[^/]+\//, '');
+
+  let anchor = null;
+  const hash = target.indexOf('#');
+  if (hash !== -1) {
+    anchor = target.slice(hash + 1).trim() || null;
+    target = target.slice(0, hash).trim();
+  }
+
+  if (!target) return null;
+  return { fname: target, label, anchor };
+}
+
+/**
+ * Find the closing `$`/`$$` of an inline equation. The opening delimiter must be
+ * followed by a non-space and the first `$` after it must be a closing one:
+ * preceded by a non-space and not followed by a digit. Prices like
+ * "$5 and $10" therefore stay literal.
+ * @returns {number} Index of the closing delimiter or -1
+ */
+function findClosingDollar(text, start, delim) {
+  if (!text[start] || /\s/.test(text[start])) return -1;
+  for (let i = start; i < text.length; i += 1) {
+    if (text[i] === '\\') {
+      i += 1;
+      continue;
+    }
+    if (text[i] !== '$') continue;
+    const after = text[i + delim.length];
+    if (text.startsWith(delim, i) && !/\s/.test(text[i - 1]) && (delim === '$$' || !after || !/[0-9]/.test(after))) {
+      return i;
+    }
+    // An unmatched `$` inside the span means this was not an equation
+    return -1;
+  }
+  return -1;
+}
+
+/**
+ * Tokenize inline markdown into formatted segments
+ * @param {string} text - Inline text
+ * @param {Object} annotations - Annotations inherited from enclosing spans
+ * @param {string|null} link - Link URL inherited from an enclosing link
+ * @param {Array} segments - Output array of { type, content, annotations, link }
+ * @param {Object} options - Conversion options (see markdownToBlocks)
+ */
+function collectInlineSegments(text, annotations, link, segments, options = {}) {
+  let buffer = '';
+  const pushBuffer = () => {
+    if (buffer) {
+      segments.push({ type: 'text', content: buffer, annotations, link });
+      buffer = '';
+    }
+  };
+
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+
+    if (char === '\\' && i + 1 < text.length && ESCAPABLE_RE.test(text[i + 1])) {
+      buffer += text[i + 1];
+      i += 2;
+      continue;
+    }
+
+    if (char === '`') {
+      const run = text.slice(i).match(/^`+/)[0];
+      const end = text.indexOf(run, i + run.length);
+      if (end !== -1) {
+        pushBuffer();
+        let code = text.slice(i + run.length, end);
+        if (/^ .* $/.test(code) && code.trim()) {
+          code = code.slice(1, -1);
+        }
+        segments.push({ type: 'text', content: code, annotations: { ...annotations, code: true }, link });
+        i = end + run.length;
+        continue;
+      }
+      buffer += run;
+      i += run.length;
+      continue;
+    }
+
+    if (char === '$') {
+      const delim = text[i + 1] === '$' ? '$$' : '$';
+      const close = findClosingDollar(text, i + delim.length, delim);
+      if (close !== -1) {
+        pushBuffer();
+        segments.push({ type: 'equation', content: text.slice(i + delim.length, close).trim(), annotations, link: null });
+        i = close + delim.length;
+        continue;
+      }
+      buffer += delim;
+      i += delim.length;
+      continue;
+    }
+
+    // Wikilinks become page mentions when resolved and otherwise stay literal text
+    if (char === '[' && text[i + 1] === '[') {
+      const end = text.indexOf(']]', i + 2);
+      const target = end === -1 ? null : parseWikilinkTarget(text.slice(i + 2, end));
+      const pageId = target && options.resolveWikilink ? options.resolveWikilink(target) : null;
+      if (pageId) {
+        pushBuffer();
+        segments.push({ type: 'mention', content: target.label || target.fname, pageId, annotations, link: null });
+        i = end + 2;
+        continue;
+      }
+      if (target) {
+        buffer += text.slice(i, end + 2);
+        i = end + 2;
+        continue;
+      }
+    }
+
+    if (char === '[' && text[i - 1] !== '!') {
+      const labelEnd = findClosingBracket(text, i, '[', ']');
+      if (labelEnd !== -1 && text[labelEnd + 1] === '(') {
+        const urlEnd = findClosingBracket(text, labelEnd + 1, '(', ')');
+        const url = urlEnd === -1 ? '' : text.slice(labelEnd + 2, urlEnd).trim();
+        if (url && LINK_URL_RE.test(url)) {
+          pushBuffer();
+          collectInlineSegments(text.slice(i + 1, labelEnd), annotations, url, segments, options);
+          i = urlEnd + 1;
+          continue;
+        }
+      }
+    }
+
+    if (char === '*' || char === '_' || (char === '~' && text[i + 1] === '~')) {
+      const double = text[i + 1] === char;
+      const delim = double ? char + char : char;
+      const next = text[i + delim.length];
+      const prev = text[i - 1];
+      const canOpen = next && !/\s/.test(next) && (char !== '_' || !prev || !/[a-z0-9]/i.test(prev));
+      const close = canOpen ? findClosingDelimiter(text, i + delim.length, delim) : -1;
+
+      if (close !== -1) {
+        pushBuffer();
+        let key = 'italic';
+        if (char === '~') {
+          key = 'strikethrough';
+        } else if (double) {
+          key = 'bold';
+        }
+        const inner = text.slice(i + delim.length, close);
+        collectInlineSegments(inner, { ...annotations, [key]: true }, link, segments, options);
+        i = close + delim.length;
+        continue;
+      }
+
+      buffer += delim;
+      i += delim.length;
+      continue;
+    }
+
+    buffer += char;
+    i += 1;
+  }
+
+  pushBuffer();
+}
+
+/**
+ * Convert inline markdown (bold, italic, strikethrough, code, links, `$math$`,
+ * `[[wikilinks]]`) into Notion rich_text
+ * @param {string} text - Inline markdown text
+ * @param {Object} options - Conversion options (see markdownToBlocks)
+ * @returns {Array} Array of Notion rich_text objects
+ */
+function parseInlineMarkdown(text, options = {}) {
+  if (!text) return [];
+
+  const segments = [];
+  collectInlineSegments(String(text), {}, null, segments, options);
+
+  const merged = [];
+  for (const segment of segments) {
+    const last = merged[merged.length - 1];
+    if (last && sameFormatting(last, segment)) {
+      last.content += segment.content;
+    } else {
+      merged.push({ ...segment });
+    }
+  }
+
+  const runs = merged
+    .filter((segment) => segment.content)
+    .map(buildRichTextRun);
+  return splitRichTextRuns(runs);
+}
+
+/**
+ * Build a Notion block object
+ * @param {string} type - Block type
+ * @param {Object} value - Type-specific block payload
+ * @returns {Object} Notion block object
+ */
+function createBlock(type, value) {
+  return { object: 'block', type, [type]: value };
+}
+
+/**
+ * Get (creating if needed) the children array of a block
+ * @param {Object} block - Notion block object
+ * @returns {Array} Children array
+ */
+function childrenOf(block) {
+  const value = block[block.type];
+  if (!value.children) {
+    value.children = [];
+  }
+  return value.children;
+}
+
+function measureIndent(line) {
+  const leading = line.match(/^[ \t]*/)[0];
+  return leading.replace(/\t/g, '    ').length;
+}
+
+/**
+ * Strip up to `indent` columns of leading whitespace from a line
+ */
+function stripIndent(line, indent) {
+  let i = 0;
+  let width = 0;
+  while (i < line.length && width < indent && (line[i] === ' ' || line[i] === '\t')) {
+    width += line[i] === '\t' ? 4 : 1;
+    i += 1;
+  }
+  return line.slice(i);
+}
+
+/**
+ * Match a list item or `▸` toggle line (already stripped of indentation)
+ * @param {string} content - Line content
+ * @returns {{type: string, text: string, checked?: boolean} | null}
+ */
+function matchListItem(content) {
+  const todo = content.match(TODO_RE);
+  if (todo) {
+    return { type: 'to_do', text: todo[2] || '', checked: todo[1].toLowerCase() === 'x' };
+  }
+  const bullet = content.match(BULLET_RE);
+  if (bullet) {
+    return { type: 'bulleted_list_item', text: bullet[1] || '' };
+  }
+  const numbered = content.match(NUMBERED_RE);
+  if (numbered) {
+    return { type: 'numbered_list_item', text: numbered[1] || '' };
+  }
+  const toggle = content.match(TOGGLE_RE);
+  if (toggle) {
+    return { type: 'toggle', text: toggle[1] || '' };
+  }
+  return null;
+}
+
+/**
+ * Convert the content of a block quote into a quote or callout block.
+ *
+ * `[!NOTE]`-style admonitions become callouts with the admonition's icon and
+ * color; a quote starting with an emoji becomes a callout with that icon.
+ *
+ * @param {string} text - Quote content with `>` markers removed
+ * @param {Object} options - Conversion options (see markdownToBlocks)
+ * @returns {Object} Notion quote or callout block
+ */
+function quoteToBlock(text, options = {}) {
+  const [firstLine, ...rest] = text.split('\n');
+
+  const admonition = firstLine.match(ADMONITION_RE);
+  if (admonition && CALLOUT_ADMONITIONS[admonition[1].toUpperCase()]) {
+    const { emoji, color } = CALLOUT_ADMONITIONS[admonition[1].toUpperCase()];
+    const lines = admonition[2] ? [admonition[2], ...rest] : rest;
+    return createBlock('callout', {
+      rich_text: parseInlineMarkdown(lines.join('\n'), options),
+      icon: { type: 'emoji', emoji },
+      color,
+    });
+  }
+
+  const emojiPrefix = firstLine.match(EMOJI_PREFIX_RE);
+  if (emojiPrefix) {
+    const lines = emojiPrefix[2] ? [emojiPrefix[2], ...rest] : rest;
+    return createBlock('callout', {
+      rich_text: parseInlineMarkdown(lines.join('\n'), options),
+      icon: { type: 'emoji', emoji: emojiPrefix[1] },
+      color: DEFAULT_CALLOUT_COLOR,
+    });
+  }
+
+  return createBlock('quote', { rich_text: parseInlineMarkdown(text, options) });
+}
+
+function isPipeWrapped(content) {
+  return content.length > 1 && content.startsWith('|') && content.endsWith('|');
+}
+
+/**
+ * Split a pipe table row into cell strings, honouring escaped pipes
+ * @param {string} content - Trimmed table row
+ * @returns {Array<string>} Cell contents
+ */
+function splitTableRow(content) {
+  let row = content;
+  if (row.startsWith('|')) row = row.slice(1);
+  if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+
+  const cells = [];
+  let current = '';
+  for (let i = 0; i < row.length; i += 1) {
+    if (row[i] === '\\' && row[i + 1] === '|') {
+      current += '|';
+      i += 1;
+    } else if (row[i] === '|') {
+      cells.push(current.trim());
+      current = '';
+    } else {
+      current += row[i];
+    }
+  }
+  cells.push(current.trim());
+  return cells;
+}
+
+/**
+ * Parse a GFM pipe table starting at `start`.
+ *
+ * A header row followed by a delimiter row (`| --- | --- |`) becomes a table
+ * with a column header. Two or more consecutive `|`-wrapped rows without a
+ * delimiter become a table without a header.
+ *
+ * @param {Array<string>} lines - All markdown lines
+ * @param {number} start - Index of the candidate header row
+ * @param {Object} options - Conversion options (see markdownToBlocks)
+ * @returns {{block: Object, end: number} | null} Table block and index of its last line
+ */
+function parseTable(lines, start, options = {}) {
+  const first = lines[start].trim();
+  if (!first.includes('|')) return null;
+
+  const next = start + 1 < lines.length ? lines[start + 1].trim() : '';
+  const headerCells = splitTableRow(first);
+  const rows = [headerCells];
+  let hasHeader = false;
+  let i = start + 1;
+
+  if (next.includes('|') && TABLE_DELIMITER_RE.test(next) && splitTableRow(next).length === headerCells.length) {
+    hasHeader = true;
+    i = start + 2;
+  } else if (!isPipeWrapped(first) || !isPipeWrapped(next) || TABLE_DELIMITER_RE.test(next)) {
+    return null;
+  }
+
+  while (i < lines.length) {
+    const content = lines[i].trim();
+    if (!content.includes('|') || (!hasHeader && !isPipeWrapped(content))) {
+      break;
+    }
+    rows.push(splitTableRow(content));
+    i += 1;
+  }
+
+  const width = hasHeader ? headerCells.length : Math.max(...rows.map((row) => row.length));
+  const children = rows.map((row) => createBlock('table_row', {
+    cells: Array.from({ length: width }, (_, index) => (
+      parseInlineMarkdown((row[index] || '').replace(/<br\s*\/?>/gi, '\n'), options)
+    )),
+  }));
+
+  return {
+    block: createBlock('table', {
+      table_width: width,
+      has_column_header: hasHeader,
+      has_row_header: false,
+      children,
+    }),
+    end: i - 1,
+  };
+}
+
+/**
+ * Convert markdown text to Notion blocks.
+ *
+ * Supports headings, paragraphs, bulleted/numbered/to-do lists and `▸` toggles
+ * (nested by indentation), block quotes and callouts, dividers, fenced code
+ * blocks, `$$` equations and pipe tables. Inline formatting is converted with parseInlineMarkdown. Long text is split across
+ * rich_text runs and blocks instead of being truncated.
+ *
+ * @param {string} markdown - Markdown text
+ * @param {Object} options
+ * @param {Function} [options.resolveWikilink] - Called with the parsed target of each
+ *   `[[wikilink]]`; returns a Notion page ID to mention, or null to keep the link as text
+ * @returns {Array} Array of Notion block objects
+ */
+function markdownToBlocks(markdown, options = {}) {
+  if (!markdown) return [];
+
+  const lines = String(markdown).split(/\r?\n/);
+  const root = [];
+  let listStack = [];
+  let pending = null;
+
+  // Paragraphs, quotes, headings and list items accumulate lines until a blank line or a new block
+  const flush = () => {
+    if (!pending) return;
+    pending.finish(pending.lines.join('\n'));
+    pending = null;
+  };
+
+  // Children array for a block at the given indent, closing deeper list levels
+  const containerFor = (indent) => {
+    while (listStack.length && listStack[listStack.length - 1].indent >= indent) {
+      listStack.pop();
+    }
+    if (!listStack.length) return root;
+    return childrenOf(listStack[listStack.length - 1].block);
+  };
+
+  for (let i = 0; i < lines.length; i += 1) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      flush();
+      continue;
+    }
+
+    const indent = measureIndent(line);
+    const content = line.trim();
+
+    const fence = content.match(FENCE_RE);
+    if (fence && !(fence[1][0] === '`' && fence[2].includes('`'))) {
+      flush();
+      const container = containerFor(indent);
+      const marker = fence[1];
+      const codeLines = [];
+      i += 1;
+      while (i < lines.length) {
+        const closing = lines[i].trim();
+        if (closing.startsWith(marker) && /^[`~]+$/.test(closing) && closing[0] === marker[0]) {
+          break;
+        }
+        codeLines.push(stripIndent(lines[i], indent));
+        i += 1;
+      }
+      container.push(createBlock('code', {
+        rich_text: textToRichText(codeLines.join('\n')),
+        language: normalizeCodeLanguage(fence[2]),
+      }));
+      continue;
+    }
+
+    if (content.startsWith('$$')) {
+      const single = content.match(BLOCK_EQUATION_RE);
+      let expressionLines = null;
+      if (single && content.length > 2) {
+        expressionLines = [single[1]];
+      } else if (!content.slice(2).includes('$$')) {
+        let end = i + 1;
+        while (end < lines.length && !lines[end].trim().endsWith('$$')) end += 1;
+        if (end < lines.length) {
+          const closing = lines[end].trim().slice(0, -2);
+          expressionLines = [content.slice(2), ...lines.slice(i + 1, end).map((l) => stripIndent(l, indent)), closing];
+          i = end;
+        }
+      }
+
+      if (expressionLines) {
+        flush();
+        const expression = expressionLines.join('\n').trim();
+        containerFor(indent).push(createBlock('equation', { expression }));
+        continue;
+      }
+    }
+
+    const table = parseTable(lines, i, options);
+    if (table) {
+      flush();
+      containerFor(indent).push(table.block);
+      i = table.end;
+      continue;
+    }
+
+    const heading = content.match(HEADING_RE);
+    if (heading) {
+      flush();
+      const level = Math.min(heading[1].length, 3);
+      const type = `heading_${level}`;
+      const container = containerFor(indent);
+      pending = {
+        kind: 'heading',
+        lines: [heading[2] || ''],
+        finish: (text) => {
+          container.push(createBlock(type, { rich_text: parseInlineMarkdown(text, options) }));
+        },
+      };
+      continue;
+    }
+
+    if (DIVIDER_RE.test(content)) {
+      flush();
+      containerFor(indent).push(createBlock('divider', {}));
+      continue;
+    }
+
+    const listItem = matchListItem(content);
+    if (listItem) {
+      flush();
+      const container = containerFor(indent);
+      const value = { rich_text: [] };
+      if (listItem.type === 'to_do') {
+        value.checked = listItem.checked;
+      }
+      const block = createBlock(listItem.type, value);
+      container.push(block);
+      listStack.push({ indent, block });
+      pending = {
+        kind: 'list',
+        lines: [listItem.text],
+        finish: (text) => {
+          value.rich_text = parseInlineMarkdown(text, options);
+        },
+      };
+      continue;
+    }
+
+    const quote = content.match(QUOTE_RE);
+    if (quote) {
+      if (pending && pending.kind === 'quote') {
+        pending.lines.push(quote[1]);
+        continue;
+      }
+      flush();
+      const container = containerFor(indent);
+      pending = {
+        kind: 'quote',
+        lines: [quote[1]],
+        finish: (text) => {
+          container.push(quoteToBlock(text, options));
+        },
+      };
+      continue;
+    }
+
+    // Lazy continuation of the current paragraph or quote; list items and
+    // headings only continue on indented lines
+    if (pending && ((pending.kind !== 'list' && pending.kind !== 'heading') || indent > 0)) {
+      pending.lines.push(content);
+      continue;
+    }
+
+    flush();
+    if (indent === 0) {
+      listStack = [];
+    }
+    const container = containerFor(indent);
+    pending = {
+      kind: 'paragraph',
+      lines: [content],
+      finish: (text) => {
+        container.push(createBlock('paragraph', { rich_text: parseInlineMarkdown(text, options) }));
+      },
+    };
+  }
+
+  flush();
+  return splitOversizedBlocks(root);
+}
+
+module.exports = {
+  NOTION_CODE_LANGUAGES,
+  MAX_TEXT_LENGTH,
+  MAX_RICH_TEXT_ITEMS,
+  CALLOUT_ADMONITIONS,
+  DEFAULT_CALLOUT_COLOR,
+  DIVIDER_RE,
+  ESCAPABLE_RE,
+  normalizeCodeLanguage,
+  splitText,
+  splitRichTextRuns,
+  splitOversizedBlocks,
+  splitTableRow,
+  parseWikilinkTarget,
+  quoteToBlock,
+  textToRichText,
+  parseInlineMarkdown,
+  createBlock,
+  markdownToBlocks,
+};
@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const yaml = require('js-yaml');
@@ -72,6 +73,373 @@ function matchFnameTrigger(fname, trigger) {
   return regex.test(fname);
 }
 
+const WHERE_OPERATORS = ['equals', 'in', 'contains', 'exists', 'regex'];
+
+function conditionKey(value) {
+  if (value instanceof Date) {
+    const iso = value.toISOString();
+    return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso;
+  }
+  return String(value);
+}
+
+/**
+ * Whether a frontmatter value counts as unset: missing, null, a blank string or an empty list
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isEmptyValue(value) {
+  if (value === undefined || value === null) return true;
+  if (typeof value === 'string') return value.trim() === '';
+  if (Array.isArray(value)) return value.length === 0;
+  return false;
+}
+
+function normalizeCondition(condition) {
+  const isOperatorObject =
+    condition && typeof condition === 'object' && !Array.isArray(condition) && !(condition instanceof Date);
+  return isOperatorObject ? condition : { equals: condition };
+}
+
+/**
+ * Check a rule's `where` block, throwing a descriptive error when it is malformed.
+ * Each key is a frontmatter field (or `fname`) mapped to a value to equal or to an
+ * object of operators.
+ */
+function validateWhereConditions(where) {
+  if (!where || typeof where !== 'object' || Array.isArray(where)) {
+    throw new Error('expected a mapping of field names to conditions');
+  }
+
+  for (const [field, rawCondition] of Object.entries(where)) {
+    const condition = normalizeCondition(rawCondition);
+    const operators = Object.keys(condition);
+    if (!operators.length) {
+      throw new Error(`no condition given for "${field}"`);
+    }
+    for (const operator of operators) {
+      if (!WHERE_OPERATORS.includes(operator)) {
+        throw new Error(`unknown operator "${operator}" for "${field}"; expected one of ${WHERE_OPERATORS.join(', ')}`);
+      }
+    }
+    if (condition.in !== undefined && !Array.isArray(condition.in)) {
+      throw new Error(`"in" for "${field}" must be a list`);
+    }
+    if (condition.exists !== undefined && typeof condition.exists !== 'boolean') {
+      throw new Error(`"exists" for "${field}" must be true or false`);
+    }
+    if (condition.regex !== undefined) {
+      try {
+        new RegExp(condition.regex);
+      } catch (err) {
+        throw new Error(`invalid regex for "${field}": ${err.message}`);
+      }
+    }
+  }
+}
+
+/**
+ * Check a note against a rule's `where` block. All conditions must hold. The `fname`
+ * field refers to the note's fname.
+ * @param {Object} frontmatter - Note frontmatter
+ * @param {string} fname - Note fname
+ * @param {Object} [where] - Conditions validated by validateWhereConditions
+ * @returns {boolean}
+ */
+function matchWhereConditions(frontmatter, fname, where) {
+  if (!where) return true;
+  const data = frontmatter || {};
+
+  return Object.entries(where).every(([field, rawCondition]) => {
+    const condition = normalizeCondition(rawCondition);
+    const value = field === 'fname' ? fname : data[field];
+    const values = Array.isArray(value) ? value : [value];
+    const present = !isEmptyValue(value);
+
+    if (condition.exists !== undefined && present !== condition.exists) {
+      return false;
+    }
+    if (condition.equals !== undefined) {
+      const expected = Array.isArray(condition.equals) ? condition.equals : [condition.equals];
+      if (!present || values.length !== expected.length) return false;
+      if (!values.every((item, index) => conditionKey(item) === conditionKey(expected[index]))) return false;
+    }
+    if (condition.in !== undefined) {
+      const allowed = new Set(condition.in.map(conditionKey));
+      if (!present || !values.some((item) => allowed.has(conditionKey(item)))) return false;
+    }
+    if (condition.contains !== undefined) {
+      const needle = conditionKey(condition.contains);
+      const found = Array.isArray(value)
+        ? values.some((item) => conditionKey(item) === needle)
+        : present && conditionKey(value).includes(needle);
+      if (!found) return false;
+    }
+    if (condition.regex !== undefined) {
+      const regex = new RegExp(condition.regex);
+      if (!present || !values.some((item) => regex.test(conditionKey(item)))) return false;
+    }
+    return true;
+  });
+}
+
+const FIELD_SOURCES = ['fname', 'fnameDate'];
+const CASE_TRANSFORMS = ['lower', 'upper'];
+
+/**
+ * Check the transform options of an fmToSync entry, throwing a descriptive error
+ * when they are malformed
+ */
+function validateFieldTransform(option) {
+  if (!option || typeof option !== 'object' || Array.isArray(option)) {
+    throw new Error('expected an object');
+  }
+  if (option.from !== undefined) {
+    if (!FIELD_SOURCES.includes(option.from)) {
+      throw new Error(`unknown from "${option.from}"; expected one of ${FIELD_SOURCES.join(', ')}`);
+    }
+    if (option.name !== undefined) {
+      throw new Error('use either name or from, not both');
+    }
+    if (!option.target) {
+      throw new Error('computed fields need a target property');
+    }
+  } else if (!option.name) {
+    throw new Error('missing name');
+  }
+  if (option.map !== undefined && (!option.map || typeof option.map !== 'object' || Array.isArray(option.map))) {
+    throw new Error('map must be a mapping of values');
+  }
+  if (option.case !== undefined && !CASE_TRANSFORMS.includes(option.case)) {
+    throw new Error(`case must be one of ${CASE_TRANSFORMS.join(', ')}`);
+  }
+  if (option.dateFormat !== undefined && typeof option.dateFormat !== 'string') {
+    throw new Error('dateFormat must be a string');
+  }
+  if (option.extract !== undefined) {
+    try {
+      new RegExp(option.extract);
+    } catch (err) {
+      throw new Error(`invalid extract regex: ${err.message}`);
+    }
+  }
+}
+
+function fnameDate(fname) {
+  const match = /(?:^|\.)(\d{4})\.(\d{2})\.(\d{2})(?:\.|$)/.exec(fname || '');
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : undefined;
+}
+
+/**
+ * Format a date (a Date or a "YYYY-MM-DD[ HH:mm]" string) with YYYY, MM, DD, HH
+ * and mm tokens. Values that are not dates are returned unchanged.
+ */
+function formatDateValue(value, format) {
+  let parts;
+  if (value instanceof Date) {
+    // YAML dates without a time are parsed as UTC midnight
+    const utc = value.toISOString().endsWith('T00:00:00.000Z');
+    parts = utc
+      ? [value.getUTCFullYear(), value.getUTCMonth() + 1, value.getUTCDate(), 0, 0]
+      : [value.getFullYear(), value.getMonth() + 1, value.getDate(), value.getHours(), value.getMinutes()];
+  } else {
+    const match = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2}))?/.exec(String(value));
+    if (!match) return value;
+    parts = [match[1], match[2], match[3], match[4] || 0, match[5] || 0].map(Number);
+  }
+
+  const pad = (number, width = 2) => String(number).padStart(width, '0');
+  const tokens = {
+    YYYY: pad(parts[0], 4),
+    MM: pad(parts[1]),
+    DD: pad(parts[2]),
+    HH: pad(parts[3]),
+    mm: pad(parts[4]),
+  };
+  return format.replace(/YYYY|MM|DD|HH|mm/g, (token) => tokens[token]);
+}
+
+function mapValues(value, transform) {
+  return Array.isArray(value) ? value.map(transform) : transform(value);
+}
+
+/**
+ * Compute the value an fmToSync entry sends to Notion: the frontmatter field (or
+ * the `from` source), then `extract`, `default`, `map`, `case` and `dateFormat`
+ * @param {Object} option - fmToSync entry
+ * @param {Object} frontmatter - Note frontmatter
+ * @param {string} fname - Note fname
+ * @returns {*} Transformed value, or undefined when there is none
+ */
+function transformFieldValue(option, frontmatter, fname) {
+  let value;
+  if (option.from === 'fname') {
+    value = fname;
+  } else if (option.from === 'fnameDate') {
+    value = fnameDate(fname);
+  } else {
+    value = (frontmatter || {})[option.name];
+  }
+
+  if (option.extract !== undefined && value !== undefined && value !== null) {
+    const regex = new RegExp(option.extract);
+    value = mapValues(value, (item) => {
+      const match = regex.exec(String(item));
+      if (!match) return undefined;
+      return match.length > 1 ? match[1] : match[0];
+    });
+    if (Array.isArray(value)) {
+      value = value.filter((item) => item !== undefined);
+    }
+  }
+
+  const empty =
+    value === undefined || value === null || (typeof value === 'string' && !value.trim()) || (Array.isArray(value) && !value.length);
+  if (empty) {
+    if (option.default === undefined) return value;
+    value = option.default;
+  }
+
+  if (option.map) {
+    value = mapValues(value, (item) => {
+      const key = item instanceof Date ? item.toISOString().slice(0, 10) : String(item);
+      return Object.prototype.hasOwnProperty.call(option.map, key) ? option.map[key] : item;
+    });
+  }
+  if (option.case) {
+    value = mapValues(value, (item) => {
+      if (typeof item !== 'string') return item;
+      return option.case === 'upper' ? item.toUpperCase() : item.toLowerCase();
+    });
+  }
+  if (option.dateFormat) {
+    value = mapValues(value, (item) => formatDateValue(item, option.dateFormat));
+  }
+  return value;
+}
+
+/**
+ * Undo an fmToSync entry's value map for a value pulled from Notion. Values that
+ * several keys map to, or that no key maps to, are returned unchanged.
+ */
+function reverseFieldValue(option, value) {
+  if (!option.map) return value;
+  return mapValues(value, (item) => {
+    const keys = Object.keys(option.map).filter((key) => String(option.map[key]) === String(item));
+    return keys.length === 1 ? keys[0] : item;
+  });
+}
+
+const TITLE_SOURCES = ['frontmatter', 'fname', 'humanized', 'heading'];
+const TEMPLATE_RE = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+function isTitleTemplate(source) {
+  return typeof source === 'string' && source.includes('{{');
+}
+
+/**
+ * Check a rule's `title` option: a source name, a template, or a list of them
+ * tried in order
+ */
+function validateTitleOption(option) {
+  const sources = Array.isArray(option) ? option : [option];
+  if (!sources.length) {
+    throw new Error('expected at least one title source');
+  }
+  for (const source of sources) {
+    if (!TITLE_SOURCES.includes(source) && !isTitleTemplate(source)) {
+      throw new Error(`unknown title source "${source}"; expected one of ${TITLE_SOURCES.join(', ')} or a {{template}}`);
+    }
+  }
+}
+
+/**
+ * List the frontmatter fields a `title` option reads, so changes to them can be detected
+ * @param {string|Array<string>} option - Rule title option
+ * @returns {Array<string>}
+ */
+function titleFields(option) {
+  const fields = new Set();
+  const addSource = (source) => {
+    if (source === 'frontmatter') fields.add('title');
+    else if (!TITLE_SOURCES.includes(source)) fields.add(source);
+  };
+
+  for (const source of Array.isArray(option) ? option : [option]) {
+    if (isTitleTemplate(source)) {
+      for (const match of source.matchAll(TEMPLATE_RE)) {
+        addSource(match[1]);
+      }
+    } else {
+      addSource(source);
+    }
+  }
+  return [...fields];
+}
+
+function humanizeFname(fname) {
+  const last = String(fname || '').split('.').pop();
+  return last
+    .split(/[-_\s]+/)
+    .filter(Boolean)
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+function firstHeading(body) {
+  let inFence = false;
+  let fallback = null;
+  for (const line of String(body || '').split(/\r?\n/)) {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+      continue;
+    }
+    if (inFence) continue;
+    const match = /^(#{1,6})\s+(.*?)\s*#*\s*$/.exec(line);
+    if (!match) continue;
+    if (match[1].length === 1) return match[2];
+    fallback = fallback || match[2];
+  }
+  return fallback;
+}
+
+/**
+ * Pick a page title for a note from a rule's `title` option. Sources are tried in
+ * order and the first non-empty one wins: `frontmatter` (the `title` field),
+ * `fname` (its last segment), `humanized` (the last segment in words), `heading`
+ * (the first level-1 heading, else the first heading) or a template such as
+ * "{{humanized}} ({{status}})" whose other placeholders are frontmatter fields.
+ * @param {string|Array<string>} option - Rule title option
+ * @param {Object} note
+ * @param {Object} note.frontmatter - Note frontmatter
+ * @param {string} note.fname - Note fname
+ * @param {string} note.body - Note body
+ * @returns {string|null}
+ */
+function resolveNoteTitle(option, { frontmatter = {}, fname, body }) {
+  const builtIn = {
+    frontmatter: () => frontmatter.title,
+    fname: () => String(fname || '').split('.').pop(),
+    humanized: () => humanizeFname(fname),
+    heading: () => firstHeading(body),
+  };
+  const valueOf = (source) => {
+    const value = builtIn[source] ? builtIn[source]() : frontmatter[source];
+    if (value === undefined || value === null) return '';
+    return value instanceof Date ? value.toISOString().slice(0, 10) : String(value).trim();
+  };
+
+  for (const source of Array.isArray(option) ? option : [option]) {
+    const title = isTitleTemplate(source)
+      ? source.replace(TEMPLATE_RE, (match, name) => valueOf(name)).trim()
+      : valueOf(source);
+    if (title) {
+      return title;
+    }
+  }
+  return null;
+}
+
 function parseMultiSelectValues(raw) {
   if (raw === undefined || raw === null) return [];
   if (Array.isArray(raw)) {
@@ -111,6 +479,97 @@ function formatLocalDateTime(date) {
   ].join('-') + ` ${pad(date.getHours())}:${pad(date.getMinutes())}`;
 }
 
+function parseLocalDateTime(raw) {
+  if (raw instanceof Date) {
+    return Number.isNaN(raw.getTime()) ? null : raw;
+  }
+  if (!raw || typeof raw !== 'string') return null;
+  const match = raw.trim().match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2}))?$/);
+  if (!match) {
+    const parsed = new Date(raw);
+    return Number.isNaN(parsed.getTime()) ? null : parsed;
+  }
+  const [, year, month, day, hours = '0', minutes = '0'] = match;
+  return new Date(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes));
+}
+
+function computeContentHash(frontmatter, fieldNames, body, extra) {
+  const fields = {};
+  for (const name of [...new Set(fieldNames)].sort()) {
+    if (frontmatter && frontmatter[name] !== undefined) {
+      fields[name] = frontmatter[name];
+    }
+  }
+  const payload = JSON.stringify({
+    fields,
+    body: typeof body === 'string' ? body.trim() : '',
+    ...(extra !== undefined ? { extra } : {}),
+  });
+  return crypto.createHash('sha256').update(payload).digest('hex').slice(0, 16);
+}
+
+const CONFLICT_START = '<<<<<<<';
+const CONFLICT_SEPARATOR = '=======';
+const CONFLICT_END = '>>>>>>>';
+
+function hasConflictMarkers(text) {
+  if (!text || typeof text !== 'string') return false;
+  const lines = text.split(/\r?\n/);
+  return (
+    lines.some((line) => line.startsWith(`${CONFLICT_START} `)) &&
+    lines.includes(CONFLICT_SEPARATOR) &&
+    lines.some((line) => line.startsWith(`${CONFLICT_END} `))
+  );
+}
+
+// Line-level two-way merge: lines common to both sides are kept, every region
+// where they differ is wrapped in git-style conflict markers
+function mergeWithConflictMarkers(localText, remoteText, { localLabel = 'local', remoteLabel = 'remote' } = {}) {
+  const local = localText ? localText.split(/\r?\n/) : [];
+  const remote = remoteText ? remoteText.split(/\r?\n/) : [];
+
+  // lengths[i][j] = longest common subsequence of local[i:] and remote[j:]
+  const lengths = Array.from({ length: local.length + 1 }, () => new Array(remote.length + 1).fill(0));
+  for (let i = local.length - 1; i >= 0; i -= 1) {
+    for (let j = remote.length - 1; j >= 0; j -= 1) {
+      lengths[i][j] =
+        local[i] === remote[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const output = [];
+  let conflicts = 0;
+  let localHunk = [];
+  let remoteHunk = [];
+  const flushHunk = () => {
+    if (!localHunk.length && !remoteHunk.length) return;
+    conflicts += 1;
+    output.push(`${CONFLICT_START} ${localLabel}`, ...localHunk, CONFLICT_SEPARATOR, ...remoteHunk, `${CONFLICT_END} ${remoteLabel}`);
+    localHunk = [];
+    remoteHunk = [];
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < local.length || j < remote.length) {
+    if (i < local.length && j < remote.length && local[i] === remote[j]) {
+      flushHunk();
+      output.push(local[i]);
+      i += 1;
+      j += 1;
+    } else if (j >= remote.length || (i < local.length && lengths[i + 1][j] >= lengths[i][j + 1])) {
+      localHunk.push(local[i]);
+      i += 1;
+    } else {
+      remoteHunk.push(remote[j]);
+      j += 1;
+    }
+  }
+  flushHunk();
+
+  return { text: output.join('\n'), conflicts };
+}
+
 function extractNotionIdFromUrl(rawUrl) {
   if (!rawUrl || typeof rawUrl !== 'string') return null;
   const dashed = rawUrl.match(/[a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12}/i);
@@ -165,9 +624,26 @@ module.exports = {
   parseFrontmatter,
   serializeFrontmatter,
   matchFnameTrigger,
+  WHERE_OPERATORS,
+  validateWhereConditions,
+  matchWhereConditions,
+  FIELD_SOURCES,
+  validateFieldTransform,
+  formatDateValue,
+  transformFieldValue,
+  reverseFieldValue,
+  TITLE_SOURCES,
+  validateTitleOption,
+  resolveNoteTitle,
+  titleFields,
+  isEmptyValue,
   parseMultiSelectValues,
   mergeMultiSelectValues,
   formatLocalDateTime,
+  parseLocalDateTime,
+  computeContentHash,
+  hasConflictMarkers,
+  mergeWithConflictMarkers,
   extractNotionIdFromUrl,
   ensureDirectoryExists,
   collectMarkdownFiles,